@@ -0,0 +1,403 @@
+
+// Assumes you've already pulled in Quill from its CDN
+const Module = Quill.import( 'core/module' )
+const Delta = Quill.import( 'delta' )
+const Keyboard = Quill.import( 'modules/keyboard' )
+import { Tooltip } from './tooltip.js'
+import { ScreenRect } from './screen-rect.js'
+
+// How many characters before the cursor to examine for text to complete
+const lookBehind = 50
+
+/**
+ * Most of Quill's functionality arises by adding modules to a basic Quill
+ * instance.  Thus developers who want to extend Quill are encouraged to do so
+ * through modules.  We build this module to add autocompletion to Quill, of
+ * two kinds.
+ * 
+ * First, symbols: typing a backslash followed by the name of a symbol, as in
+ * LaTeX, suggests the symbols whose names begin with what was typed, so that
+ * typing `\al` suggests α, from `\alpha`.  Also, typing a complete name
+ * followed by any character other than a letter (such as a space) replaces
+ * the name with its symbol immediately, without waiting for the user to
+ * choose a suggestion.
+ * 
+ * Second, structures: typing the first few letters of a keyword, such as
+ * "Theorem," suggests inserting the structure of groups for that keyword,
+ * which is a template in the GroupsModule.  (See
+ * `GroupsModule.defineTemplate()`.)  Inserting it replaces the typed keyword.
+ * 
+ * Suggestions appear in a popup below the cursor.  The user can choose one by
+ * clicking it, or by using the up and down arrow keys and pressing Enter or
+ * Tab, or dismiss the popup with Escape.  Without the arrow keys, Enter or Tab
+ * accepts the highlighted symbol, but a structure only if its keyword was
+ * typed exactly (including case), because a structure is suggested for any
+ * word that begins its keyword, and the user typing such a word may just want
+ * a new line or a tab.  Each completion is one step in the editor's undo
+ * history, so that undoing it restores the text that was typed.
+ * 
+ * The symbols are given by this module's `symbols` option, which maps names
+ * (without the backslash) to symbols, and extends the default table below.
+ * The structures are given by its `structures` option, which maps keywords to
+ * either the names of templates in the GroupsModule or templates themselves.
+ * Unless the `useTemplates` option is false, the names of all templates in the
+ * GroupsModule are also keywords for those templates.  Both tables can be
+ * extended later with `addSymbol()` and `addStructure()`.
+ */
+class AutocompleteModule extends Module {
+
+    // Default options for this module, which Quill combines with any options
+    // the client provides when installing it.  See the documentation above.
+    static DEFAULTS = {
+        symbols : {
+            alpha : 'α', beta : 'β', gamma : 'γ', delta : 'δ', epsilon : 'ε',
+            zeta : 'ζ', eta : 'η', theta : 'θ', iota : 'ι', kappa : 'κ',
+            lambda : 'λ', mu : 'μ', nu : 'ν', xi : 'ξ', pi : 'π', rho : 'ρ',
+            sigma : 'σ', tau : 'τ', upsilon : 'υ', phi : 'φ', chi : 'χ',
+            psi : 'ψ', omega : 'ω', Gamma : 'Γ', Delta : 'Δ', Theta : 'Θ',
+            Lambda : 'Λ', Xi : 'Ξ', Pi : 'Π', Sigma : 'Σ', Phi : 'Φ',
+            Psi : 'Ψ', Omega : 'Ω', forall : '∀', exists : '∃', neg : '¬',
+            wedge : '∧', vee : '∨', to : '→', implies : '⇒', iff : '⇔',
+            in : '∈', notin : '∉', subset : '⊂', subseteq : '⊆', cup : '∪',
+            cap : '∩', emptyset : '∅', leq : '≤', geq : '≥', neq : '≠',
+            times : '×', cdot : '·', infty : '∞', sum : '∑', prod : '∏',
+            int : '∫', partial : '∂', nabla : '∇', sqrt : '√'
+        },
+        structures : { },
+        useTemplates : true,
+        minKeywordLength : 3,
+        maxSuggestions : 8
+    }
+
+    /**
+     * Construct an instance of this module for the given editor.  It creates
+     * the (initially hidden) popup for suggestions and installs the event
+     * handlers and keyboard bindings that show, navigate, and accept them.
+     * 
+     * @param {Quill} quill - a Quill editor instance
+     * @param {Object} options - an options object with which the editor was set up
+     */
+    constructor ( quill, options ) {
+        // call super and store the editor instance
+        super( quill, options )
+        this.quill = quill
+        this.symbols = new Map( Object.entries( this.options.symbols ) )
+        this.structures = new Map( Object.entries( this.options.structures ) )
+        this.suggestions = [ ]
+        this.active = 0
+        this.chosen = false
+
+        // create the popup in which suggestions will appear
+        this.popup = new Tooltip( quill.scroll.domNode, { padding : '2px 0' } )
+        this.popup.div.addEventListener( 'mousedown', event => {
+            // keep the focus in the editor, and accept the clicked suggestion
+            event.preventDefault()
+            const item = event.target.closest( '[data-suggestion]' )
+            if ( item ) this.accept( this.suggestions[item.dataset.suggestion] )
+        } )
+
+        // look for text to complete after the user types, and hide the popup
+        // when the user moves elsewhere
+        quill.on( 'text-change', ( delta, oldContents, source ) => {
+            if ( source == Quill.sources.USER ) this.update( delta )
+        } )
+        quill.on( 'selection-change', range => {
+            if ( !range || !this.suggestions.some( suggestion =>
+                    suggestion.index + suggestion.length == range.index ) )
+                this.dismiss()
+        } )
+
+        // keys for navigating the popup, which must precede Quill's own
+        // bindings for these keys (so we move them to the front), but which do
+        // nothing (and let those bindings run) when the popup is hidden, or
+        // when the handler returns true
+        const bind = ( key, handler ) => {
+            quill.keyboard.addBinding( { key }, () =>
+                this.suggestions.length == 0 || handler() === true )
+            const bindings = quill.keyboard.bindings[key]
+            bindings.unshift( bindings.pop() )
+        }
+        bind( Keyboard.keys.ENTER, () => !this.acceptHighlighted() )
+        bind( Keyboard.keys.TAB, () => !this.acceptHighlighted() )
+        bind( Keyboard.keys.ESCAPE, () => this.dismiss() )
+        bind( Keyboard.keys.UP, () => this.choose( this.active - 1 ) )
+        bind( Keyboard.keys.DOWN, () => this.choose( this.active + 1 ) )
+    }
+
+    /**
+     * Add a symbol to the table of symbols this module completes, or replace
+     * the symbol for a name already in it.
+     * 
+     * @param {string} name - the name of the symbol, without the backslash
+     *   that precedes it when typed (e.g., `'alpha'`)
+     * @param {string} symbol - the text with which to replace the name and
+     *   its backslash (e.g., `'α'`)
+     */
+    addSymbol ( name, symbol ) {
+        this.symbols.set( name, symbol )
+    }
+
+    /**
+     * Add a keyword to the table of structures this module suggests inserting,
+     * or replace the structure for a keyword already in it.
+     * 
+     * @param {string} keyword - the keyword (e.g., `'Theorem'`), which is
+     *   suggested when the user types a word that begins it (ignoring case)
+     * @param {string|Array} template - the name of a template in the
+     *   GroupsModule, or a template itself, in the form documented in
+     *   `GroupsModule.defineTemplate()`
+     */
+    addStructure ( keyword, template ) {
+        this.structures.set( keyword, template )
+    }
+
+    /**
+     * All the keywords for structures this module can suggest, with their
+     * templates.  These include those in the `structures` option, those added
+     * with `addStructure()`, and, if the `useTemplates` option is true, the
+     * names of the templates defined in the GroupsModule.
+     * 
+     * @returns {Map} a map from keywords to templates (or template names)
+     */
+    keywords () {
+        const result = new Map()
+        const groups = this.quill.getModule( 'groups' )
+        if ( groups && this.options.useTemplates )
+            groups.templates.forEach( ( template, name ) => result.set( name, name ) )
+        this.structures.forEach( ( template, keyword ) => result.set( keyword, template ) )
+        return result
+    }
+
+    /**
+     * Used internally to respond to the user's edits.  If the user just typed
+     * a non-letter after the complete name of a symbol, this replaces the name
+     * with the symbol immediately.  Otherwise, it finds the suggestions that
+     * apply to the text just before the cursor and shows them in the popup,
+     * or hides the popup if there are none.
+     * 
+     * @param {Delta} delta - the change the user just made to the document
+     */
+    update ( delta ) {
+        if ( this.replacing ) return
+        // the cursor is after the last text the user inserted, if any
+        const index = insertionEnd( delta )
+        if ( index === undefined ) return this.dismiss()
+        const start = Math.max( 0, index - lookBehind )
+        const text = this.textBetween( start, index )
+        // replace a complete symbol name followed by a non-letter
+        const complete = /\\([a-zA-Z]+)[^a-zA-Z]$/.exec( text )
+        if ( complete && this.symbols.has( complete[1] ) ) {
+            this.dismiss()
+            return this.accept( {
+                index : start + complete.index,
+                length : complete[1].length + 1,
+                symbol : this.symbols.get( complete[1] ),
+                cursor : index
+            } )
+        }
+        // suggest symbols whose names begin with a name being typed
+        const suggestions = [ ]
+        const partial = /\\([a-zA-Z]+)$/.exec( text )
+        if ( partial ) {
+            Array.from( this.symbols.keys() ).filter( name =>
+                name.startsWith( partial[1] )
+            ).sort( ( a, b ) => a.length - b.length || ( a < b ? -1 : 1 ) )
+            .forEach( name => suggestions.push( {
+                index : start + partial.index,
+                length : partial[0].length,
+                name,
+                symbol : this.symbols.get( name )
+            } ) )
+        }
+        // suggest structures whose keywords begin with a word being typed,
+        // putting first any whose keyword is exactly that word
+        const word = /(?:^|[^\\\p{L}])(\p{L}+)$/u.exec( text )
+        if ( word && word[1].length >= this.options.minKeywordLength ) {
+            const structures = [ ]
+            this.keywords().forEach( ( template, keyword ) => {
+                if ( keyword.toLowerCase().startsWith( word[1].toLowerCase() ) )
+                    structures.push( {
+                        index : index - word[1].length,
+                        length : word[1].length,
+                        keyword,
+                        template,
+                        exact : keyword == word[1]
+                    } )
+            } )
+            suggestions.push( ...structures.sort( ( a, b ) => b.exact - a.exact ) )
+        }
+        this.suggest( suggestions.slice( 0, this.options.maxSuggestions ) )
+    }
+
+    /**
+     * Show the given suggestions in the popup, with the first one highlighted,
+     * or hide the popup if the list is empty.  Clients do not normally need to
+     * call this; `update()` does so as the user types.
+     * 
+     * @param {Object[]} suggestions - the suggestions to show, each of which
+     *   has `index` and `length` members, the range of the text it would
+     *   replace, and either a `symbol` member, the text to replace it with, or
+     *   a `template` member, the template with which to replace it (plus an
+     *   `exact` member, whether the text is exactly the structure's keyword)
+     */
+    suggest ( suggestions ) {
+        this.suggestions = suggestions
+        this.chosen = false
+        if ( suggestions.length == 0 ) return this.popup.hide()
+        const document = this.quill.root.ownerDocument
+        this.popup.div.innerHTML = ''
+        suggestions.forEach( ( suggestion, i ) => {
+            const item = document.createElement( 'div' )
+            item.dataset.suggestion = i
+            item.style.padding = '2px 8px'
+            item.style.cursor = 'pointer'
+            item.style.whiteSpace = 'nowrap'
+            const main = document.createElement( 'span' )
+            const hint = document.createElement( 'span' )
+            hint.style.color = '#888888'
+            if ( suggestion.hasOwnProperty( 'symbol' ) ) {
+                main.textContent = suggestion.symbol
+                hint.textContent = ` \\${suggestion.name}`
+            } else {
+                main.textContent = suggestion.keyword
+                hint.textContent = ' (insert structure)'
+            }
+            item.append( main, hint )
+            this.popup.div.appendChild( item )
+        } )
+        this.highlight( 0 )
+        this.popup.track( () => this.caretRect(), 'below' )
+    }
+
+    /**
+     * Highlight the suggestion in the popup with the given index, which is
+     * the one that pressing Enter or Tab accepts.  Indices wrap around, so
+     * that moving up from the first suggestion highlights the last.
+     * 
+     * @param {integer} index - the index of the suggestion to highlight
+     */
+    highlight ( index ) {
+        const count = this.suggestions.length
+        if ( count == 0 ) return
+        this.active = ( index % count + count ) % count
+        Array.from( this.popup.div.children ).forEach( ( item, i ) =>
+            item.style.background = i == this.active ? '#ddeeff' : '' )
+    }
+
+    // Utility used by the Up and Down keys: highlight the suggestion with the
+    // given index, as highlight() does, noting that the user chose it, and so
+    // pressing Enter or Tab should accept it even if it is a structure.
+    choose ( index ) {
+        this.highlight( index )
+        this.chosen = true
+    }
+
+    /**
+     * Accept the highlighted suggestion, if pressing Enter or Tab should do
+     * so: if it is a symbol, if the user chose it with the arrow keys, or if
+     * it is a structure whose keyword was typed exactly.  Otherwise, this just
+     * hides the popup, so that the key can do what it normally would.
+     * 
+     * @returns {boolean} whether a suggestion was accepted
+     */
+    acceptHighlighted () {
+        const suggestion = this.suggestions[this.active]
+        if ( suggestion && ( this.chosen || suggestion.exact
+                          || suggestion.hasOwnProperty( 'symbol' ) ) ) {
+            this.accept( suggestion )
+            return true
+        }
+        this.dismiss()
+        return false
+    }
+
+    /**
+     * Hide the popup and forget its suggestions, without accepting any.
+     */
+    dismiss () {
+        this.suggestions = [ ]
+        this.popup.hide()
+    }
+
+    /**
+     * Accept the given suggestion, replacing the text it completes with the
+     * suggested symbol or structure, as a single step in the undo history, and
+     * placing the cursor after the symbol (or in the first placeholder of the
+     * structure).  The popup is hidden.
+     * 
+     * @param {Object} suggestion - a suggestion, in the form documented in
+     *   `suggest()`, which for symbols may also have a `cursor` member, the
+     *   index (before the replacement) of a cursor to keep in place, if it is
+     *   not at the end of the text being replaced
+     */
+    accept ( suggestion ) {
+        this.dismiss()
+        if ( !suggestion ) return
+        this.quill.history.cutoff()
+        this.replacing = true
+        if ( suggestion.hasOwnProperty( 'symbol' ) ) {
+            // keep the formatting of the text being replaced
+            const attributes = this.quill.getContents( suggestion.index, 1 ).ops[0].attributes
+            const change = new Delta().retain( suggestion.index )
+                .delete( suggestion.length ).insert( suggestion.symbol, attributes )
+            this.quill.updateContents( change, Quill.sources.USER )
+            const cursor = suggestion.hasOwnProperty( 'cursor' ) ? suggestion.cursor
+                : suggestion.index + suggestion.length
+            this.quill.setSelection( change.transformPosition( cursor ), 0,
+                Quill.sources.USER )
+        } else {
+            this.quill.setSelection( suggestion.index, suggestion.length,
+                Quill.sources.SILENT )
+            this.quill.getModule( 'groups' ).insertTemplate( suggestion.template,
+                Quill.sources.USER )
+        }
+        this.replacing = false
+        this.quill.history.cutoff()
+    }
+
+    /**
+     * The text of the document between the given indices, with each embed
+     * (such as a grouper) represented by the object replacement character
+     * U+FFFC, so that indices in the text correspond to those in the document.
+     * 
+     * @param {integer} start - the index of the start of the text
+     * @param {integer} end - the index of the end of the text
+     * @returns {string} the text between the two indices
+     */
+    textBetween ( start, end ) {
+        return this.quill.getContents( start, end - start ).ops.map( op =>
+            typeof op.insert == 'string' ? op.insert : '\uFFFC' ).join( '' )
+    }
+
+    // Utility used by the popup to find where to appear: the rectangle, in
+    // viewport coordinates, of the cursor at the end of the text being
+    // completed.
+    caretRect () {
+        if ( this.suggestions.length == 0 ) return null
+        const suggestion = this.suggestions[0]
+        const bounds = this.quill.getBounds( suggestion.index + suggestion.length )
+        const origin = new ScreenRect( this.quill.container ).topLeft
+        return new ScreenRect( origin.x + bounds.left, origin.y + bounds.top,
+            origin.x + bounds.left + bounds.width, origin.y + bounds.top + bounds.height )
+    }
+
+}
+
+// Utility function for use in this module only
+// Find the index in the document just after the last text inserted by the
+// given Delta, or undefined if it inserts nothing
+const insertionEnd = delta => {
+    let position = 0
+    let result = undefined
+    delta.ops.forEach( op => {
+        if ( op.hasOwnProperty( 'retain' ) ) {
+            position += op.retain
+        } else if ( op.hasOwnProperty( 'insert' ) ) {
+            position += typeof op.insert == 'string' ? op.insert.length : 1
+            result = position
+        }
+    } )
+    return result
+}
+
+Quill.register( 'modules/autocomplete', AutocompleteModule )
@@ -0,0 +1,203 @@
+import { ScreenPoint } from './screen-point.js'
+
+/**
+ * A context menu is a list of actions that floats over the page at a point,
+ * typically where the user right-clicked, and disappears when the user chooses
+ * one of its actions, clicks anywhere else, presses Escape, or scrolls.  Each
+ * item in the menu has a label and either a function to run when it is chosen
+ * or a submenu of further items, which opens beside it when the mouse moves
+ * over it.  Items can be disabled, in which case they appear grayed out and
+ * do nothing.
+ * 
+ * The GroupsModule uses this class for its context menu of actions on groups
+ * (see `GroupsModule.addContextMenuAction()`), but it is not specific to
+ * groups, or even to Quill.
+ */
+export class ContextMenu {
+
+    // Default options for context menus, which are combined with any options
+    // the client provides to the constructor.  Lengths are in pixels.
+    static DEFAULTS = {
+        background : '#ffffff',
+        borderColor : '#888888',
+        borderWidth : 1,
+        borderRadius : 4,
+        padding : '4px 0',
+        itemPadding : '2px 16px',
+        highlight : '#ddeeff',
+        disabledColor : '#aaaaaa',
+        zIndex : 1000
+    }
+
+    /**
+     * Construct a new context menu in the given document.  It is initially
+     * hidden, until `show()` is called.
+     * 
+     * @param {Document} document - the document in which the menu will appear
+     * @param {Object} [options] - any options to override those in
+     *   `ContextMenu.DEFAULTS`
+     */
+    constructor ( document, options = { } ) {
+        this.document = document
+        this.options = Object.assign( { }, ContextMenu.DEFAULTS, options )
+        this.parent = null
+        this.submenu = null
+
+        // create the (initially hidden) box and place it into the DOM; we use
+        // fixed positioning, in viewport coordinates, so that the menu is not
+        // clipped by any scrolling container
+        this.box = document.createElement( 'div' )
+        Object.assign( this.box.style, {
+            position : 'fixed',
+            display : 'none',
+            boxSizing : 'border-box',
+            zIndex : this.options.zIndex,
+            background : this.options.background,
+            border : `${this.options.borderWidth}px solid ${this.options.borderColor}`,
+            borderRadius : `${this.options.borderRadius}px`,
+            padding : this.options.padding,
+            cursor : 'default',
+            userSelect : 'none'
+        } )
+        document.body.appendChild( this.box )
+
+        // the handlers that dismiss the menu, installed only while it is shown
+        this.dismiss = event => {
+            if ( event.type == 'keydown' ? event.key == 'Escape'
+                                         : !this.contains( event.target ) )
+                this.hide()
+        }
+    }
+
+    /**
+     * Show this menu with its top left corner at the given point, or as near
+     * it as possible while keeping the whole menu in the viewport, replacing
+     * whatever items it showed before.  Each item is an object with these
+     * members:
+     * 
+     *  - `label` - the text of the item
+     *  - `enabled` - whether the item can be chosen (default true)
+     *  - `run` - a function to call, with no arguments, when the item is
+     *    chosen, after the menu has been hidden
+     *  - `submenu` - instead of `run`, an array of items, in this same form,
+     *    to show in a menu beside this item when the mouse moves over it
+     * 
+     * @param {Object[]} items - the items to show, as described above
+     * @param {ScreenPoint} point - the point, in viewport coordinates, at
+     *   which to show the menu
+     */
+    show ( items, point ) {
+        this.hide()
+        this.box.innerHTML = ''
+        items.forEach( item => {
+            const enabled = item.enabled !== false
+            const div = this.document.createElement( 'div' )
+            div.textContent = item.submenu ? `${item.label} ▸` : item.label
+            div.style.padding = this.options.itemPadding
+            div.style.whiteSpace = 'nowrap'
+            if ( !enabled ) div.style.color = this.options.disabledColor
+            div.addEventListener( 'mouseenter', () => {
+                Array.from( this.box.children ).forEach( other =>
+                    other.style.background = '' )
+                if ( enabled ) div.style.background = this.options.highlight
+                this.closeSubmenu()
+                if ( enabled && item.submenu ) this.openSubmenu( item.submenu, div )
+            } )
+            div.addEventListener( 'click', () => {
+                if ( !enabled || !item.run ) return
+                this.root().hide()
+                item.run()
+            } )
+            this.box.appendChild( div )
+        } )
+        this.box.style.display = 'block'
+        this.place( point.x, point.y )
+        if ( this.parent ) return
+        this.document.addEventListener( 'mousedown', this.dismiss, true )
+        this.document.addEventListener( 'keydown', this.dismiss, true )
+        this.document.addEventListener( 'scroll', this.dismiss, true )
+        this.document.defaultView.addEventListener( 'blur', this.dismiss )
+    }
+
+    /**
+     * Hide this menu and any submenu open beside it.  It can be shown again
+     * later with `show()`.
+     */
+    hide () {
+        this.closeSubmenu()
+        this.box.style.display = 'none'
+        if ( this.parent ) return
+        this.document.removeEventListener( 'mousedown', this.dismiss, true )
+        this.document.removeEventListener( 'keydown', this.dismiss, true )
+        this.document.removeEventListener( 'scroll', this.dismiss, true )
+        this.document.defaultView.removeEventListener( 'blur', this.dismiss )
+    }
+
+    /**
+     * Is this menu currently shown?
+     * 
+     * @returns {boolean} whether the menu is visible
+     */
+    isVisible () { return this.box.style.display != 'none' }
+
+    /**
+     * Is the given DOM node part of this menu or of any submenu open beside
+     * it?
+     * 
+     * @param {Node} node - the node to look for
+     * @returns {boolean} whether the node is in this menu or its submenus
+     */
+    contains ( node ) {
+        return this.box.contains( node ) || !!this.submenu && this.submenu.contains( node )
+    }
+
+    /**
+     * Remove this menu from the document permanently.  The menu cannot be
+     * used after this has been called.
+     */
+    destroy () {
+        this.hide()
+        if ( this.submenu ) this.submenu.destroy()
+        this.box.remove()
+    }
+
+    // Utility used by show() to position the menu: put its top left corner at
+    // the given point, but move it left and up if needed to fit in the
+    // viewport.  A submenu that does not fit to the right of its item goes to
+    // the left of the menu containing that item instead.
+    place ( left, top ) {
+        const window = this.document.defaultView
+        const width = this.box.offsetWidth
+        const height = this.box.offsetHeight
+        if ( left + width > window.innerWidth )
+            left = this.parent ? this.parent.box.getBoundingClientRect().left - width
+                               : window.innerWidth - width
+        if ( top + height > window.innerHeight ) top = window.innerHeight - height
+        this.box.style.left = `${Math.max( 0, left )}px`
+        this.box.style.top = `${Math.max( 0, top )}px`
+    }
+
+    // Utility used by show(): open a submenu with the given items beside the
+    // given item of this menu.
+    openSubmenu ( items, div ) {
+        if ( !this.submenu ) {
+            this.submenu = new ContextMenu( this.document, this.options )
+            this.submenu.parent = this
+        }
+        const rect = div.getBoundingClientRect()
+        const box = this.box.getBoundingClientRect()
+        this.submenu.show( items, new ScreenPoint( box.right, rect.top ) )
+    }
+
+    // Utility used by show() and hide(): close the submenu, if any.
+    closeSubmenu () {
+        if ( this.submenu ) this.submenu.hide()
+    }
+
+    // Utility used by show(): the menu that is not a submenu of any other, and
+    // thus is the one to hide when an item in any of its submenus is chosen.
+    root () {
+        return this.parent ? this.parent.root() : this
+    }
+
+}
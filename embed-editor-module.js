@@ -0,0 +1,285 @@
+
+// Assumes you've already pulled in Quill from its CDN
+const Module = Quill.import( 'core/module' )
+const Delta = Quill.import( 'delta' )
+import { Tooltip } from './tooltip.js'
+import { ScreenRect } from './screen-rect.js'
+
+/**
+ * Most of Quill's functionality arises by adding modules to a basic Quill
+ * instance.  Thus developers who want to extend Quill are encouraged to do so
+ * through modules.  We build this module to let users edit atomic, inline
+ * embeds (such as formulas), which are otherwise read-only, in a small editor
+ * that floats beside the embed in a tooltip, in the style of Notion.
+ * 
+ * For each kind of embed to be editable, the client provides two functions.
+ * The first, `toUI`, converts the embed's value (as it appears in the
+ * document's Delta) into the contents of the editor; it is called once, when
+ * editing begins.  The second, `fromUI`, converts the current state of that
+ * editor back into a value for the embed; it is called whenever the contents
+ * of the editor change, and the resulting value is written into the document
+ * immediately.  All the changes made in one editing session form a single step
+ * in the editor's undo history.
+ * 
+ * The editor opens when the user clicks an editable embed, or presses Enter
+ * while the embed is selected or immediately before the cursor.  It closes
+ * when the user presses Enter or Escape inside it (returning the cursor to
+ * just after the embed), or clicks elsewhere in the document.  Embeds that the
+ * user may not edit (see `canEdit()`) do not open.
+ * 
+ * To install it, provide an `editors` option mapping blot names to objects
+ * with `toUI` and `fromUI` members, or call `register()` after installation.
+ * For example, to edit Quill's formula embeds:
+ * ```
+ * new Quill( '#editor', {
+ *     modules : {
+ *         embedEditor : {
+ *             editors : {
+ *                 formula : {
+ *                     toUI : value => {
+ *                         const input = document.createElement( 'input' )
+ *                         input.value = value
+ *                         return input
+ *                     },
+ *                     fromUI : div => div.querySelector( 'input' ).value
+ *                 }
+ *             }
+ *         }
+ *     }
+ * } )
+ * ```
+ */
+class EmbedEditorModule extends Module {
+
+    // Default options for this module, which Quill combines with any options
+    // the client provides when installing it.  The `side` and `arrow` options
+    // are the preferred side of the embed on which to show the editor and the
+    // corner of its arrow, as in `Tooltip.track()` and `Tooltip.setArrow()`.
+    static DEFAULTS = {
+        editors : { },
+        side : 'below',
+        arrow : 'top-left'
+    }
+
+    /**
+     * Construct an instance of this module for the given editor.  It creates
+     * the (initially hidden) tooltip in which embeds will be edited, and
+     * installs the event handlers and keyboard binding that open and close it.
+     * 
+     * @param {Quill} quill - a Quill editor instance
+     * @param {Object} options - an options object with which the editor was set up
+     */
+    constructor ( quill, options ) {
+        // call super and store the editor instance
+        super( quill, options )
+        this.quill = quill
+        this.editors = new Map( Object.entries( this.options.editors ) )
+        this.index = null
+
+        // create the tooltip in which the editor will appear, and respond to
+        // all changes the user makes inside it
+        this.tooltip = new Tooltip( quill.scroll.domNode )
+        this.tooltip.setArrow( this.options.arrow )
+        this.tooltip.div.addEventListener( 'input', () => this.writeBack() )
+        this.tooltip.div.addEventListener( 'change', () => this.writeBack() )
+        this.tooltip.div.addEventListener( 'keydown', event => {
+            if ( ( event.key == 'Enter' && !event.shiftKey ) || event.key == 'Escape' ) {
+                event.preventDefault()
+                this.close()
+            }
+        } )
+
+        // clicking an editable embed opens it, and clicking elsewhere in the
+        // document closes any embed being edited
+        quill.root.addEventListener( 'click', event => {
+            const blot = Quill.find( event.target, true )
+            if ( blot && blot != quill.scroll && this.editors.has( blot.statics.blotName ) )
+                this.open( quill.getIndex( blot ) )
+            else
+                this.close( false )
+        } )
+
+        // pressing Enter next to an editable embed opens it; Quill runs the
+        // bindings for a key in order, so ours must precede its own Enter
+        // handlers, which would otherwise insert a newline
+        quill.keyboard.addBinding( { key : 'Enter' }, range => {
+            const index = this.editableIndex( range )
+            if ( index === undefined ) return true
+            this.open( index )
+            return false
+        } )
+        const bindings = quill.keyboard.bindings[13]
+        bindings.unshift( bindings.pop() )
+
+        // keep track of where the embed being edited is as the document
+        // changes, and stop editing it if it is deleted
+        quill.on( 'editor-change', ( type, delta ) => {
+            if ( type != 'text-change' || this.index === null || this.writing ) return
+            const index = delta.transformPosition( this.index )
+            const blot = quill.getLeaf( index + 1 )[0]
+            if ( blot && this.editors.has( blot.statics.blotName ) )
+                this.index = index
+            else
+                this.close( false )
+        } )
+    }
+
+    /**
+     * Make embeds with the given blot name editable using the given functions,
+     * replacing any functions previously registered for that blot name.
+     * 
+     * @param {string} blotName - the name of any registered embed blot
+     * @param {function} toUI - a function mapping the embed's value to the
+     *   contents of the editor, either as an HTML string or as a DOM Node
+     * @param {function} fromUI - a function mapping the DIV containing the
+     *   editor to the new value for the embed, or to undefined if the editor's
+     *   current state does not describe a valid value (in which case the
+     *   document is left unchanged)
+     */
+    register ( blotName, toUI, fromUI ) {
+        this.editors.set( blotName, { toUI, fromUI } )
+    }
+
+    /**
+     * Find the index of the editable embed that pressing Enter with the given
+     * selection should open, if any.  That is either the embed that is the
+     * entire selection, or, if the selection is empty, the embed just before
+     * the cursor.
+     * 
+     * @param {Object} range - a Quill selection range, with `index` and
+     *   `length` members
+     * @returns {integer} the index of the embed in the document, or undefined
+     *   if there is no such embed
+     */
+    editableIndex ( range ) {
+        if ( !range || range.length > 1 ) return
+        const index = range.length == 1 ? range.index : range.index - 1
+        if ( index < 0 ) return
+        const blot = this.quill.getLeaf( index + 1 )[0]
+        if ( blot && this.editors.has( blot.statics.blotName ) )
+            return index
+    }
+
+    /**
+     * Begin editing the embed at the given index in the document, closing any
+     * embed already being edited.  This fills the tooltip with the embed's
+     * editor, as built by its `toUI` function, shows it beside the embed, and
+     * focuses the first input widget in it, if any.
+     * 
+     * @param {integer} index - the index of the embed in the document
+     */
+    open ( index ) {
+        this.close( false )
+        if ( !this.canEdit( index ) ) return
+        const op = this.quill.getContents( index, 1 ).ops[0]
+        if ( !op || typeof op.insert != 'object' ) return
+        const blotName = Object.keys( op.insert )[0]
+        const editor = this.editors.get( blotName )
+        if ( !editor ) return
+        this.index = index
+        this.blotName = blotName
+        this.attributes = op.attributes
+        this.lastValue = JSON.stringify( op.insert[blotName] )
+        // begin a new step in the undo history, for this editing session
+        this.quill.history.cutoff()
+        this.historyDelay = null
+        const ui = editor.toUI( op.insert[blotName] )
+        if ( typeof ui == 'string' ) {
+            this.tooltip.setHTML( ui )
+        } else {
+            this.tooltip.div.innerHTML = ''
+            this.tooltip.div.appendChild( ui )
+        }
+        this.tooltip.track( () => this.embedRect(), this.options.side )
+        const input = this.tooltip.div.querySelector(
+            'input, textarea, select, [contenteditable]' )
+        if ( input ) input.focus()
+    }
+
+    /**
+     * Stop editing the embed being edited, if any, hiding the tooltip.  The
+     * changes made while editing have already been written into the document,
+     * and are ended as one step in the undo history.
+     * 
+     * @param {boolean} [refocus] - whether to return the focus to the editor,
+     *   with the cursor just after the embed (default true)
+     */
+    close ( refocus = true ) {
+        if ( this.index === null ) return
+        const index = this.index
+        this.index = null
+        this.tooltip.hide()
+        // end the session's step in the undo history (see writeBack())
+        if ( this.historyDelay !== null ) {
+            this.quill.history.options.delay = this.historyDelay
+            this.historyDelay = null
+        }
+        this.quill.history.cutoff()
+        if ( refocus ) {
+            this.quill.focus()
+            this.quill.setSelection( index + 1, 0, Quill.sources.USER )
+        }
+    }
+
+    /**
+     * May the user edit the embed at the given index in the document?  Not if
+     * the GroupsModule is installed and the embed is in a locked group (see
+     * `GroupsModule.touchesLocked()`), because this module writes the user's
+     * changes into the document itself, where the GroupsModule cannot stop
+     * them.  This is checked before opening an embed and before each write.
+     * 
+     * @param {integer} index - the index of the embed in the document
+     * @returns {boolean} whether the user may edit the embed
+     */
+    canEdit ( index ) {
+        const groups = this.quill.getModule( 'groups' )
+        return !groups || !groups.touchesLocked( index, 1 )
+    }
+
+    /**
+     * Is an embed currently being edited?
+     * 
+     * @returns {boolean} whether the editor tooltip is open
+     */
+    isOpen () { return this.index !== null }
+
+    /**
+     * Used internally to convert the state of the editor into a new value for
+     * the embed, using its `fromUI` function, and write that value into the
+     * document, replacing the embed being edited.  Every write after the first
+     * in an editing session is merged into the same step of the undo history,
+     * however long the user takes between them.
+     */
+    writeBack () {
+        if ( this.index === null ) return
+        if ( !this.canEdit( this.index ) ) return this.close( false )
+        const value = this.editors.get( this.blotName ).fromUI( this.tooltip.div )
+        if ( value === undefined || JSON.stringify( value ) == this.lastValue ) return
+        this.lastValue = JSON.stringify( value )
+        this.writing = true
+        this.quill.updateContents( new Delta().retain( this.index )
+            .insert( { [this.blotName] : value }, this.attributes )
+            .delete( 1 ), Quill.sources.USER )
+        this.writing = false
+        // the first write began a new step in the undo history (because open()
+        // cut off the previous one); the history module merges each change
+        // made within its `delay` option of the last into the same step, so
+        // until close() ends the session, we make that delay unlimited
+        if ( this.historyDelay === null ) {
+            this.historyDelay = this.quill.history.options.delay
+            this.quill.history.options.delay = Infinity
+        }
+    }
+
+    // Utility used by the tooltip to find where the embed being edited is: the
+    // rectangle, in viewport coordinates, of its node in the document.  (The
+    // node changes with each write, so the tooltip cannot track just one.)
+    embedRect () {
+        if ( this.index === null ) return null
+        const blot = this.quill.getLeaf( this.index + 1 )[0]
+        return blot ? new ScreenRect( blot.domNode ) : null
+    }
+
+}
+
+Quill.register( 'modules/embedEditor', EmbedEditorModule )
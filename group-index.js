@@ -0,0 +1,242 @@
+
+/**
+ * A GroupIndex records where every group in a Quill document sits, so that
+ * questions like "which groups contain this position?" or "what is this
+ * group's parent?" can be answered without asking Quill for the index of any
+ * grouper (which requires walking the document, and thus makes answering such
+ * questions for every group take quadratic time).
+ * 
+ * Because groups are properly nested (see the Group class), the intervals of
+ * the document that they span form a tree, in which each group's children are
+ * the groups directly inside it, in document order.  That tree serves as an
+ * interval tree: finding the groups containing a position is a walk down one
+ * branch of it, using binary search among the children at each level.
+ * 
+ * The index is kept up to date incrementally, by giving it each change made to
+ * the document (see `update()`).  Changes that do not insert or delete
+ * groupers (such as typing) merely shift the recorded positions.  Changes that
+ * do insert or delete groupers also add or remove entries for those groupers,
+ * from the change itself, and then pair the groupers and arrange the groups
+ * into a tree again.  That takes time proportional to the number of groupers,
+ * not the length of the document, and is needed because adding or removing
+ * one grouper can change the pairing and nesting of many groups after it (as
+ * when an open grouper's partner is deleted).  Such changes are rare compared
+ * to typing, so this keeps the index simple without making editing slow.  The
+ * document itself is read only once, when the index is constructed.
+ * 
+ * Each group is represented in the index by a node, an object with these
+ * attributes:
+ * 
+ *  - `id` - the group's id
+ *  - `open` and `close` - the entries for its two groupers (see below)
+ *  - `parent` - the node for the group around this one, or null if none
+ *  - `children` - the nodes for the groups directly inside this one, in order
+ * 
+ * Each grouper is represented by an entry, an object with the attributes
+ * `index` (its index in the document), `value` (its value, as in
+ * `Grouper.value()`) and `node` (the node for its group, or null if the
+ * grouper does not form a properly nested pair with a partner).
+ */
+export class GroupIndex {
+
+    /**
+     * Construct an index for the groups in the given editor, from its current
+     * contents.  From then on, every change made to the document must be
+     * given to `update()`.
+     * 
+     * @param {Quill} quill - the Quill editor whose groups are to be indexed
+     */
+    constructor ( quill ) {
+        this.quill = quill
+        this.entries = [ ]
+        let index = 0
+        quill.getContents().forEach( op => {
+            if ( op.insert.grouper )
+                this.entries.push( { index, value : op.insert.grouper, node : null } )
+            index += typeof op.insert == 'string' ? op.insert.length : 1
+        } )
+        this.build()
+    }
+
+    /**
+     * Update the index to reflect a change that has just been made to the
+     * document.  This must be called for every change, including silent ones,
+     * which is why clients should call it from a handler for Quill's
+     * `editor-change` event, rather than its `text-change` event.
+     * 
+     * @param {Delta} delta - the change made to the document
+     */
+    update ( delta ) {
+        const old = this.entries
+        const entries = [ ]
+        let index = 0    // position in the document before the change
+        let position = 0 // the corresponding position after the change
+        let next = 0     // the first entry in `old` not yet handled
+        let structural = false
+        // keep the entries of groupers up to the given old position, shifted
+        const keepUntil = end => {
+            while ( next < old.length && old[next].index < end ) {
+                old[next].index += position - index
+                entries.push( old[next++] )
+            }
+        }
+        delta.ops.forEach( op => {
+            if ( op.retain ) {
+                keepUntil( index + op.retain )
+                index += op.retain
+                position += op.retain
+            } else if ( op.delete ) {
+                while ( next < old.length && old[next].index < index + op.delete ) {
+                    next++
+                    structural = true
+                }
+                index += op.delete
+            } else {
+                if ( op.insert.grouper ) {
+                    entries.push( { index : position, value : op.insert.grouper, node : null } )
+                    structural = true
+                }
+                position += typeof op.insert == 'string' ? op.insert.length : 1
+            }
+        } )
+        keepUntil( Infinity )
+        this.entries = entries
+        if ( structural ) this.build()
+    }
+
+    // Utility used by the constructor and update(): pair the groupers in
+    // `this.entries` into groups and arrange those into a tree.
+    build () {
+        this.entries.forEach( entry => entry.node = null )
+        // pair groupers as if they were parentheses, requiring matching ids
+        this.byId = new Map()
+        this.list = [ ]
+        const stack = [ ]
+        this.entries.forEach( entry => {
+            if ( entry.value.open ) return stack.push( entry )
+            const where = stack.findIndex( open => open.value.id == entry.value.id )
+            if ( where < 0 ) return
+            const open = stack.splice( where ).shift()
+            const node = { id : entry.value.id, open, close : entry, parent : null, children : [ ] }
+            open.node = entry.node = node
+            this.byId.set( node.id, node )
+            this.list.push( node )
+        } )
+        // the pairs were found in the order of their close groupers
+        this.byClose = this.list.slice()
+        // arrange the pairs into a tree, in document order
+        this.list.sort( ( a, b ) => a.open.index - b.open.index )
+        this.roots = [ ]
+        const ancestors = [ ]
+        this.list.forEach( node => {
+            while ( ancestors.length > 0
+                 && ancestors[ancestors.length - 1].close.index < node.open.index )
+                ancestors.pop()
+            node.parent = ancestors.length > 0 ? ancestors[ancestors.length - 1] : null
+            const siblings = node.parent ? node.parent.children : this.roots
+            siblings.push( node )
+            ancestors.push( node )
+        } )
+    }
+
+    /**
+     * The entries for all groupers in the document, in order.
+     * 
+     * @returns {Array} the array of entries, as documented above
+     */
+    groupers () {
+        return this.entries
+    }
+
+    /**
+     * The nodes for all groups in the document, in the order that their open
+     * groupers appear.
+     * 
+     * @returns {Array} the array of nodes, as documented above
+     */
+    nodes () {
+        return this.list
+    }
+
+    /**
+     * The nodes for all groups that do not sit inside any other group, in
+     * document order.
+     * 
+     * @returns {Array} the array of nodes, as documented above
+     */
+    topLevel () {
+        return this.roots
+    }
+
+    /**
+     * Look up the node for the group with the given id.
+     * 
+     * @param {string|integer} id - the id of the group to look up
+     * @returns {Object} the node for that group, or undefined if there is none
+     */
+    get ( id ) {
+        return this.byId.get( id )
+    }
+
+    /**
+     * The nodes for all groups that contain the given position in the
+     * document, that is, whose open grouper is before it and whose close
+     * grouper is at or after it.  They are returned from the outermost to the
+     * innermost.
+     * 
+     * @param {integer} index - index into the document
+     * @returns {Array} the array of nodes, as documented above
+     */
+    containing ( index ) {
+        const result = [ ]
+        let candidates = this.roots
+        while ( true ) {
+            // binary search for the last candidate opening before the index
+            let low = 0, high = candidates.length
+            while ( low < high ) {
+                const mid = ( low + high ) >> 1
+                if ( candidates[mid].open.index < index ) low = mid + 1
+                else high = mid
+            }
+            const node = candidates[low - 1]
+            if ( !node || node.close.index < index ) return result
+            result.push( node )
+            candidates = node.children
+        }
+    }
+
+    /**
+     * The node for the first group whose open grouper is at or after the
+     * given position in the document.
+     * 
+     * @param {integer} index - index into the document
+     * @returns {Object} the node for that group, or undefined if there is none
+     */
+    atOrAfter ( index ) {
+        let low = 0, high = this.list.length
+        while ( low < high ) {
+            const mid = ( low + high ) >> 1
+            if ( this.list[mid].open.index < index ) low = mid + 1
+            else high = mid
+        }
+        return this.list[low]
+    }
+
+    /**
+     * The node for the last group whose close grouper is before the given
+     * position in the document.
+     * 
+     * @param {integer} index - index into the document
+     * @returns {Object} the node for that group, or undefined if there is none
+     */
+    before ( index ) {
+        let low = 0, high = this.byClose.length
+        while ( low < high ) {
+            const mid = ( low + high ) >> 1
+            if ( this.byClose[mid].close.index < index ) low = mid + 1
+            else high = mid
+        }
+        return this.byClose[low - 1]
+    }
+
+}
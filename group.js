@@ -1,18 +1,28 @@
 
+const Delta = Quill.import( 'delta' )
 import { Region } from './region.js'
 import { Grouper } from './grouper-blots.js'
 
+// Utility function for use in this module only: the value of a close grouper
+// with the given id and data (which is omitted if empty)
+const closeValue = ( id, data ) =>
+    Object.keys( data ).length > 0 ? { id, open : false, data } : { id, open : false }
+
 /**
  * A group is a contiguous section of a Quill document that has had its start
  * and end marked with special (typically invisible) atomic objects called
  * groupers.  (See grouper-blots.js.)  These can be used for anything, including
  * storing arbitrary data about that region.  Groups are always nested, never
- * overlapping like [1  [2  ]1  ]2.  Each group has a unique ID, a positive
- * integer n, and the open (left) grouper will be marked with id=-n and the
- * close (right) grouper with id=n.  Groups need not be within a paragraph, and
- * need not be nested inside the DOM hierarchy in any special way; they can
- * extend from any point in a document to any later point, crossing as many
- * HTML element boundaries as you desire, within a Quill editor.
+ * overlapping like [1  [2  ]1  ]2.  (The GroupsModule can check this and
+ * repair violations of it; see its `validate()` and `normalize()`.)  Each
+ * group has a globally unique ID (see `GroupsModule.generateId()`), and both
+ * its open (left) and close (right) groupers are marked with that ID, each
+ * also recording which of the two it is.  IDs are never reused, so anything
+ * keyed by a group's ID (such as feedback about it) cannot later attach to a
+ * different group.  Groups need not be within a paragraph, and need not be
+ * nested inside the DOM hierarchy in any special way; they can extend from
+ * any point in a document to any later point, crossing as many HTML element
+ * boundaries as you desire, within a Quill editor.
  */
 export class Group {
 
@@ -27,15 +37,20 @@ export class Group {
      * of that editor, so that all of those objects are available later when any
      * methods in this instance are called.
      * 
+     * If the caller already knows the other grouper in the pair, it can pass
+     * that as the second argument, which saves searching the document for it.
+     * 
      * @param {Grouper} grouper - either the open or close grouper from the pair
      *   that defines the group
+     * @param {Grouper} [partner] - optionally, the other grouper in the pair
      */
-    constructor ( grouper ) {
-        this.open = grouper.getOpen()
-        this.close = grouper.getClose()
+    constructor ( grouper, partner ) {
+        if ( !partner ) partner = grouper.partner()
+        this.open = grouper.isOpen() ? grouper : partner
+        this.close = grouper.isOpen() ? partner : grouper
         this.id = this.close.id
         this.quill = Quill.find( this.open.scroll.domNode.parentNode )
-        this.module = this.quill.getModule( 'groupers' )
+        this.module = this.quill.getModule( 'groups' )
     }
 
     /**
@@ -130,33 +145,344 @@ export class Group {
      */
     fragment () { return this.range().cloneContents() }
 
+    /**
+     * Fetch all data stored in this group, as a single object mapping keys to
+     * values.  The data lives in the value of the close grouper (see
+     * `Grouper.create()`), so it is an ordinary part of the document's Delta,
+     * and the values can be of any JSON type.  The result is a copy, so
+     * altering it does not alter the group; use `set()` for that.
+     * 
+     * @returns {Object} all key-value pairs stored in this group
+     */
+    data () { return this.close.data().data || { } }
+
     /**
      * Look up data stored in this group.  As mentioned above, groups can store
      * arbitrary data, and do so using key-value pairs.  Provide a key here to
-     * look up any previously stored data.  The HTMLElement dataset of the close
-     * grouper is where the data is stored, so you must use keys that are valid
-     * JavaScript identifiers.
+     * look up any previously stored data.
      * 
-     * @param {String} key - the key of the data to be looked up, which must be
-     *   a valid JavaScript identifier
+     * @param {String} key - the key of the data to be looked up
      * @returns {*} the data stored under the given key, or undefined if the key
      *   is not present in the group's data
      */
-    get ( key ) { return this.close.dataset[key] }
+    get ( key ) { return this.data()[key] }
 
     /**
      * Store data in this group.  As mentioned above, groups can store arbitrary
      * data, and do so using key-value pairs.  Provide a key and value here to
-     * write data into this group.  The HTMLElement dataset of the close grouper
-     * is where the data is stored, so you must use keys that are valid
-     * JavaScript identifiers.
+     * write data into this group.  The value can be anything that survives
+     * conversion to and from JSON, such as a number, string, array, or object.
+     * Storing the value undefined removes the key from the group's data.
      * 
-     * @param {String} key - the key of the data to be stored, which must be a
-     *   valid JavaScript identifier
+     * Because the data is part of the close grouper's value, storing it means
+     * replacing the close grouper with a new one that has the same id and the
+     * new data.  This happens as a single change to the document, which is
+     * thus recorded by the history module (so it can be undone) like any other.
+     * 
+     * @param {String} key - the key of the data to be stored
      * @param {*} value - the data to store under the given key
+     * @param {string} source - a Quill source (e.g., `Quill.sources.API`),
+     *   meaning the source of the action that led to this edit
      * @returns {*} the value stored
      */
-    set ( key, value ) { return this.close.dataset[key] = value }
+    set ( key, value, source=Quill.sources.API ) {
+        const data = this.data()
+        if ( value === undefined )
+            delete data[key]
+        else
+            data[key] = JSON.parse( JSON.stringify( value ) )
+        this.setData( data, source )
+        return value
+    }
+
+    /**
+     * Replace all the data stored in this group with the given data, in the
+     * same way that `set()` changes one key, and thus also as a single change
+     * to the document.
+     * 
+     * @param {Object} data - the new data, an object whose values can be
+     *   anything that survives conversion to and from JSON
+     * @param {string} source - a Quill source (e.g., `Quill.sources.API`),
+     *   meaning the source of the action that led to this edit
+     */
+    setData ( data, source=Quill.sources.API ) {
+        data = JSON.parse( JSON.stringify( data ) )
+        const index = this.quill.getIndex( this.close )
+        this.quill.updateContents( new Delta().retain( index )
+            .insert( { grouper : { id : this.id, open : false, data } } ).delete( 1 ), source )
+        this.close = this.quill.getLeaf( index + 1 )[0]
+    }
+
+    /**
+     * The type of this group, which is simply the `type` field of its data.
+     * Types determine where groups may appear (see
+     * `GroupsModule.defineType()`) and how they are drawn (see
+     * `GroupsModule.styleOf()`).
+     * 
+     * @returns {string} the type of this group, or undefined if it has none
+     */
+    type () { return this.get( 'type' ) }
+
+    /**
+     * Change the type of this group, by setting the `type` field of its data.
+     * See `type()` for more information.
+     * 
+     * @param {string} type - the new type, or undefined to make it untyped
+     * @param {string} source - a Quill source (e.g., `Quill.sources.API`),
+     *   meaning the source of the action that led to this edit
+     */
+    setType ( type, source=Quill.sources.API ) { this.set( 'type', type, source ) }
+
+    /**
+     * Whether this group is locked, which is simply the `locked` field of its
+     * data.  The user cannot edit the contents of a locked group, though the
+     * application can, for example with `replaceContents()`.  See
+     * `GroupsModule.touchesLocked()` for details.
+     * 
+     * @returns {boolean} whether this group is locked
+     */
+    isLocked () { return !!this.get( 'locked' ) }
+
+    /**
+     * Lock or unlock this group, by setting or removing the `locked` field of
+     * its data.  See `isLocked()` for more information.
+     * 
+     * @param {boolean} locked - whether the group should be locked
+     * @param {string} source - a Quill source (e.g., `Quill.sources.API`),
+     *   meaning the source of the action that led to this edit
+     */
+    setLocked ( locked=true, source=Quill.sources.API ) {
+        this.set( 'locked', locked ? true : undefined, source )
+    }
+
+    /**
+     * Replace everything between this group's groupers with the given content,
+     * as a single change to the document.  This works even if the group is
+     * locked, as long as the source is not `Quill.sources.USER`, so that the
+     * application can keep a locked group (such as a preamble) up to date.
+     * 
+     * @param {Delta|string} contents - the new contents of the group, either
+     *   as a Delta containing only insertions, or as plain text
+     * @param {string} source - a Quill source (e.g., `Quill.sources.API`),
+     *   meaning the source of the action that led to this edit
+     */
+    replaceContents ( contents, source=Quill.sources.API ) {
+        if ( typeof contents == 'string' ) contents = new Delta().insert( contents )
+        const indices = this.indices()
+        this.quill.updateContents( new Delta().retain( indices.afterOpen )
+            .delete( indices.beforeClose - indices.afterOpen ).concat( contents ), source )
+    }
+
+    /**
+     * Remove this group from the document, by deleting its two groupers, but
+     * keep everything between them.  This is a single change to the document,
+     * and thus a single step in the undo history.  This Group instance should
+     * not be used afterwards, because the group no longer exists.
+     * 
+     * @param {string} source - a Quill source (e.g., `Quill.sources.API`),
+     *   meaning the source of the action that led to this edit
+     */
+    unwrap ( source=Quill.sources.API ) {
+        const indices = this.indices()
+        this.applyChange( new Delta().retain( indices.beforeOpen ).delete( 1 )
+            .retain( indices.beforeClose - indices.afterOpen ).delete( 1 ), source )
+    }
+
+    /**
+     * Split this group into two sibling groups at the given index, which must
+     * be inside this group but not inside any group within it.  The first of
+     * the two groups keeps this group's id, and both keep its data.  This is a
+     * single change to the document, and thus a single step in the undo
+     * history.
+     * 
+     * @param {integer} index - the index in the document at which to split,
+     *   which will be the index of the new close grouper of the first group
+     * @param {string} source - a Quill source (e.g., `Quill.sources.API`),
+     *   meaning the source of the action that led to this edit
+     * @returns {Group[]} the two groups, the first of which is this object,
+     *   or undefined if splitting at the given index would break the nesting
+     *   of groups, in which case the document is left unchanged
+     */
+    split ( index, source=Quill.sources.API ) {
+        const indices = this.indices()
+        if ( index < indices.afterOpen || index > indices.beforeClose
+          || this.module.crossesBoundary( indices.afterOpen, index - indices.afterOpen ) )
+            return
+        const data = this.data()
+        const id = this.module.generateId()
+        this.applyChange( new Delta().retain( index )
+            .insert( { grouper : closeValue( this.id, data ) } )
+            .insert( { grouper : { id, open : true } } )
+            .retain( indices.beforeClose - index )
+            .insert( { grouper : closeValue( id, data ) } ).delete( 1 ), source )
+        return [ this, this.module.groupWithId( id ) ]
+    }
+
+    /**
+     * Join this group with its next sibling, which must be the given group,
+     * into a single group, by deleting this group's close grouper and the
+     * other group's open grouper.  The result keeps this group's id, and the
+     * data of both groups, with this group's data taking precedence where the
+     * two have values for the same key.  Any content between the two groups
+     * becomes part of the result.  This is a single change to the document,
+     * and thus a single step in the undo history.
+     * 
+     * @param {Group} next - the next sibling of this group (see `next()`)
+     * @param {string} source - a Quill source (e.g., `Quill.sources.API`),
+     *   meaning the source of the action that led to this edit
+     * @returns {Group} this object, now representing the merged group, or
+     *   undefined if the given group was not this group's next sibling, in
+     *   which case the document is left unchanged
+     */
+    mergeWith ( next, source=Quill.sources.API ) {
+        const sibling = this.next()
+        if ( !next || !sibling || !sibling.equals( next ) ) return
+        const mine = this.indices()
+        const theirs = next.indices()
+        const data = Object.assign( { }, next.data(), this.data() )
+        this.applyChange( new Delta().retain( mine.beforeClose ).delete( 1 )
+            .retain( theirs.beforeOpen - mine.afterClose ).delete( 1 )
+            .retain( theirs.beforeClose - theirs.afterOpen ).delete( 1 )
+            .insert( { grouper : closeValue( this.id, data ) } ), source )
+        return this
+    }
+
+    /**
+     * Enlarge this group by moving one of its groupers outward to the given
+     * index: its open grouper, if the index is before the group, or its close
+     * grouper, if the index is after it.  The group must stay properly nested,
+     * so the content it gains must not contain only one grouper of any pair.
+     * This is a single change to the document, and thus a single step in the
+     * undo history.
+     * 
+     * @param {integer} index - the index in the document before the group at
+     *   which its contents should now start, or the index after the group at
+     *   which its contents should now end
+     * @param {string} source - a Quill source (e.g., `Quill.sources.API`),
+     *   meaning the source of the action that led to this edit
+     * @returns {Group} this object, or undefined if the index was inside the
+     *   group or after the document's final newline, or moving the grouper
+     *   would break the nesting of groups, in which case the document is left
+     *   unchanged
+     */
+    extendTo ( index, source=Quill.sources.API ) {
+        const indices = this.indices()
+        if ( index <= indices.beforeOpen ) {
+            if ( this.module.crossesBoundary( index, indices.beforeOpen - index ) ) return
+            this.applyChange( new Delta().retain( index )
+                .insert( { grouper : { id : this.id, open : true } } )
+                .retain( indices.beforeOpen - index ).delete( 1 ), source )
+        } else if ( index >= indices.afterClose && index < this.quill.getLength() ) {
+            if ( this.module.crossesBoundary( indices.afterClose, index - indices.afterClose ) ) return
+            this.applyChange( new Delta().retain( indices.beforeClose ).delete( 1 )
+                .retain( index - indices.afterClose )
+                .insert( { grouper : closeValue( this.id, this.data() ) } ), source )
+        } else {
+            return
+        }
+        return this
+    }
+
+    /**
+     * Reduce this group by moving one of its groupers inward to the given
+     * index, which must be inside the group.  The group must stay properly
+     * nested, so the content it loses must not contain only one grouper of any
+     * pair.  This is a single change to the document, and thus a single step in
+     * the undo history.
+     * 
+     * @param {integer} index - the index in the document inside the group at
+     *   which its contents should now start (if moving the open grouper) or end
+     *   (if moving the close grouper)
+     * @param {string} boundary - which grouper to move, either `'open'` or
+     *   `'close'`
+     * @param {string} source - a Quill source (e.g., `Quill.sources.API`),
+     *   meaning the source of the action that led to this edit
+     * @returns {Group} this object, or undefined if the index was outside the
+     *   group or moving the grouper would break the nesting of groups, in which
+     *   case the document is left unchanged
+     */
+    shrinkTo ( index, boundary, source=Quill.sources.API ) {
+        if ( boundary != 'open' && boundary != 'close' )
+            throw new Error( `Not a group boundary: ${boundary}` )
+        const indices = this.indices()
+        if ( index < indices.afterOpen || index > indices.beforeClose ) return
+        if ( boundary == 'open' ) {
+            if ( this.module.crossesBoundary( indices.afterOpen, index - indices.afterOpen ) ) return
+            this.applyChange( new Delta().retain( indices.beforeOpen ).delete( 1 )
+                .retain( index - indices.afterOpen )
+                .insert( { grouper : { id : this.id, open : true } } ), source )
+        } else {
+            if ( this.module.crossesBoundary( index, indices.beforeClose - index ) ) return
+            this.applyChange( new Delta().retain( index )
+                .insert( { grouper : closeValue( this.id, this.data() ) } )
+                .retain( indices.beforeClose - index ).delete( 1 ), source )
+        }
+        return this
+    }
+
+    // Utility used by unwrap(), split(), mergeWith(), extendTo(), and
+    // shrinkTo(): apply the given change to the document as its own step in
+    // the undo history, then find this group's (possibly new) groupers.
+    applyChange ( delta, source ) {
+        this.quill.history.cutoff()
+        this.quill.updateContents( delta, source )
+        this.quill.history.cutoff()
+        const group = this.module.groupWithId( this.id )
+        if ( group ) {
+            this.open = group.open
+            this.close = group.close
+        }
+    }
+
+    /**
+     * Attach a tooltip to this group, containing the given HTML, or remove
+     * the group's tooltip by passing null.  The tooltip stays next to the
+     * group's region on screen as the text around it changes.  It belongs to
+     * the group, not to this Group instance, so it remains if this instance is
+     * discarded and the group is later looked up again.  See
+     * `GroupsModule.setTooltip()` for details, including the options.
+     * 
+     * @param {string} html - the contents of the tooltip, or null to remove it
+     * @param {Object} [options] - options for the tooltip, as documented in
+     *   `GroupsModule.setTooltip()`
+     * @returns {Tooltip} the new tooltip, or undefined if it was removed
+     */
+    setTooltip ( html, options ) {
+        return this.module.setTooltip( this.id, html, options )
+    }
+
+    /**
+     * Set the style for this group, which determines how its groupers look
+     * and how it is drawn (e.g., when the mouse is over it), overriding any
+     * style for its type.  See `GroupsModule.styleOf()` for details.
+     * 
+     * @param {Object} style - the style for this group, or null to remove it
+     */
+    setStyle ( style ) { this.module.setStyle( this.id, style ) }
+
+    /**
+     * The style in which this group is drawn, combining the default style, the
+     * style for its type, and its own style.  See `GroupsModule.styleOf()`.
+     * 
+     * @returns {Object} the style for this group
+     */
+    style () { return this.module.styleOf( this.id ) }
+
+    /**
+     * The tooltip attached to this group by `setTooltip()`, if any.
+     * 
+     * @returns {Tooltip} the tooltip, or undefined if the group has none
+     */
+    tooltip () { return this.module.tooltipOf( this.id ) }
+
+    /**
+     * The feedback attached to this group by `GroupsModule.applyFeedback()`,
+     * if any.
+     * 
+     * @returns {Object} the feedback, with `status` and `message` members, or
+     *   undefined if the group has none
+     */
+    feedback () { return this.module.feedbackOf( this.id ) }
 
     /**
      * Compute all indices for this group's groupers.  Here an index means a
@@ -168,11 +494,16 @@ export class Group {
      * `beforeOpen`, `afterOpen`, `beforeClose`, and `afterClose`, with those
      * four indices, each as a non-negative integer.
      * 
+     * These come from the GroupsModule's index of groups, if this group is in
+     * it (which it will be unless the document is malformed; see
+     * `GroupsModule.validate()`), and are computed from the document otherwise.
+     * 
      * @returns {Object} the indices object defined above
      */
     indices () {
-        const openIndex = this.quill.getIndex( this.open )
-        const closeIndex = this.quill.getIndex( this.close )
+        const node = this.node()
+        const openIndex = node ? node.open.index : this.quill.getIndex( this.open )
+        const closeIndex = node ? node.close.index : this.quill.getIndex( this.close )
         return {
             beforeOpen : openIndex,
             afterOpen : openIndex + 1,
@@ -215,14 +546,24 @@ export class Group {
      */
     relativePosition ( index ) {
         const indices = this.indices()
-        return index <  indices[0]                       ? 0 :
-               index == indices[0]                       ? 1 :
-               index == indices[1]                       ? 2 :
-               index >  indices[1] && index < indices[2] ? 3 :
-               index == indices[3]                       ? 4 :
-               index == indices[5]                       ? 5 : 6
+        return index <  indices.beforeOpen                 ? 0 :
+               index == indices.beforeOpen                 ? 1 :
+               index == indices.afterOpen                  ? 2 :
+               index <  indices.beforeClose                ? 3 :
+               index == indices.beforeClose                ? 4 :
+               index == indices.afterClose                 ? 5 : 6
     }
 
+    /**
+     * The node representing this group in the GroupsModule's index of groups.
+     * (See the GroupIndex class for the definition of a node.)  The methods
+     * below for navigating among groups use this node.
+     * 
+     * @returns {Object} the node for this group, or undefined if this group is
+     *   not in the index (which happens only if the document is malformed)
+     */
+    node () { return this.module.groupIndex.get( this.id ) }
+
     /**
      * If this group is nested inside another, then that other is this group's
      * parent, and this function will return that other group, as an instance
@@ -231,7 +572,9 @@ export class Group {
      * @returns {Group} the parent group, or undefined if there is not one
      */
     parent () {
-        return this.module.groupAround( this.indices().beforeOpen )
+        const node = this.node()
+        if ( node && node.parent )
+            return this.module.groupFromNode( node.parent )
     }
 
     /**
@@ -243,7 +586,9 @@ export class Group {
      *   one
      */
     previous () {
-        return this.module.groupBefore( this.indices().beforeOpen )
+        const siblings = this.siblingNodes()
+        const node = siblings[siblings.indexOf( this.node() ) - 1]
+        if ( node ) return this.module.groupFromNode( node )
     }
 
     /**
@@ -254,7 +599,19 @@ export class Group {
      * @returns {Group} the next sibling group, or undefined if there is not one
      */
     next () {
-        return this.module.groupAtOrAfter( this.indices().afterClose )
+        const siblings = this.siblingNodes()
+        const position = siblings.indexOf( this.node() )
+        if ( position > -1 && position < siblings.length - 1 )
+            return this.module.groupFromNode( siblings[position + 1] )
+    }
+
+    // Utility used by previous() and next(): the nodes for this group and its
+    // siblings, in order.  This is empty if this group is not in the index.
+    siblingNodes () {
+        const node = this.node()
+        return !node ? [ ] :
+               node.parent ? node.parent.children :
+               this.module.groupIndex.topLevel()
     }
 
     /**
@@ -281,9 +638,9 @@ export class Group {
      * @returns {Group} the first child group, or undefined if there is not one
      */
     firstChild () {
-        const group = this.module.groupAtOrAfter( this.indices().afterOpen )
-        if ( group && this.contains( group ) )
-            return group
+        const node = this.node()
+        if ( node && node.children.length > 0 )
+            return this.module.groupFromNode( node.children[0] )
     }
 
     /**
@@ -295,26 +652,61 @@ export class Group {
      * @returns {Array} the array of child groups, which may be empty
      */
     children () {
-        const result = [ ]
-        let child = this.firstChild()
-        while ( child ) {
-            result.push( child )
-            child = child.next()
-            if ( child && !this.contains( child ) ) break
-        }
-        return result
+        const node = this.node()
+        return !node ? [ ] : node.children.map(
+            child => this.module.groupFromNode( child ) )
+    }
+
+    /**
+     * Does this group consist of entire paragraphs?  That is, does its open
+     * grouper sit at the start of a paragraph (or list item, heading, etc.)
+     * and its close grouper at the end of one?  Other groupers may come between
+     * them and the paragraph boundaries, so that groups of whole paragraphs
+     * can be nested, but nothing else may.  The GroupsModule draws such groups
+     * as bars in the left gutter, rather than outlines around their text.
+     * 
+     * @returns {boolean} whether this group is made of whole paragraphs
+     */
+    isWholeParagraphs () {
+        const indices = this.indices()
+        const onlyGroupers = ( index, length ) => length <= 0 ||
+            this.quill.getContents( index, length ).ops.every(
+                op => op.insert.hasOwnProperty( 'grouper' ) )
+        const [ firstLine, openOffset ] = this.quill.getLine( indices.beforeOpen )
+        const [ lastLine, closeOffset ] = this.quill.getLine( indices.beforeClose )
+        if ( !firstLine || !lastLine ) return false
+        // the characters after the close grouper, up to the line's newline
+        const after = lastLine.length() - closeOffset - 2
+        return onlyGroupers( indices.beforeOpen - openOffset, openOffset )
+            && onlyGroupers( indices.afterClose, after )
     }
 
     /**
      * The region on screen that spans from this group's open grouper to its
      * close grouper.  This may or may not be a rectangle; see the documentation
-     * for the Region class for details.
+     * for the Region class for details.  Its shape is given by the `regionShape`
+     * option of the GroupsModule.
      * 
      * @returns {Region} the region on screen this group fills
      */
     region () {
         return new Region( this.open.domNode, this.close.domNode,
-            this.quill.editor.scroll.domNode )
+            this.quill.editor.scroll.domNode,
+            { shape : this.module.options.regionShape } )
+    }
+
+    /**
+     * Represent this group and its contents in JSON form, as one node of the
+     * hierarchy that `GroupsModule.toJSON()` produces for the whole document.
+     * 
+     * @returns {Object} this group's node, with `id`, `data`, and `children`
+     *   members, as documented in `GroupsModule.toJSON()`
+     */
+    toJSON () {
+        const find = nodes => nodes.reduce( ( found, node ) => found
+            || ( node.id == this.id ? node : node.children && find( node.children ) ),
+            undefined )
+        return find( this.module.toJSON() )
     }
 
     /**
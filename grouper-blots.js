@@ -31,9 +31,10 @@ const changeSuffix = ( node, html ) => {
  * uneditable.  (You cannot put your cursor inside one and start typing, even
  * when it's not invisible.)
  * 
- * Groupers provide methods for storing/retrieving data about the group, finding
- * their corresponding partner grouper, and ensuring that they are deleted iff
- * their partner is deleted.
+ * Groupers provide methods for storing/retrieving data about the group and
+ * finding their corresponding partner grouper.  Ensuring that they are deleted
+ * iff their partner is deleted is the job of the GroupsModule, which removes
+ * any grouper left without a partner after each edit.
  * 
  * The code for this class was created by imitating the following nice example.
  * https://github.com/jspaine/quill-placeholder-module/blob/master/src/placeholder-blot.ts#L9
@@ -50,16 +51,18 @@ export class Grouper extends Embed {
      * representation by default.  (They are invisible.)  You can make it so
      * that every grouper gets a certain representation by implementing this
      * function.  You can also change grouper appearance at runtime on a
-     * case-by-case basis using setHTML(), defined below.
+     * case-by-case basis using setHTML(), defined below, which is what the
+     * GroupsModule does for groups whose style specifies grouper HTML.  (See
+     * `GroupsModule.styleOf()`.)
      * 
-     * For example, you could use the following implementation instead to make
-     * groupers visible:
+     * The function receives the grouper's id and whether it is an open
+     * grouper.  For example, you could use the following implementation
+     * instead to make groupers visible:
      * ```
-     * id => {
-     *     const symbol = id < 0 ? '[' : ']'
+     * ( id, open ) => {
+     *     const symbol = open ? '[' : ']'
      *     const style = 'color:white; background:#00a6ed; padding:3px;'
-     *     const subscript = Math.abs( id )
-     *     return `<span style="${style}">${symbol}<sub>${subscript}</sub></span>`
+     *     return `<span style="${style}">${symbol}<sub>${id}</sub></span>`
      * }
      * ```
      */
@@ -72,7 +75,23 @@ export class Grouper extends Embed {
      * 
      * @param {string} html - the new HTML code to use, as a string
      */
-    setHTML ( html ) { changeSuffix( this.domNode, html ) }
+    setHTML ( html ) {
+        changeSuffix( this.domNode, html )
+        this._html = html
+    }
+
+    /**
+     * The HTML representation of this grouper, exactly as it was most recently
+     * given to `setHTML()`, or if that has not been called, as the browser
+     * reports it from the DOM (which is the empty string if there is none).
+     * 
+     * @returns {string} the HTML code of this grouper's representation
+     */
+    getHTML () {
+        if ( this._html !== undefined ) return this._html
+        const suffixes = this.domNode.getElementsByClassName( 'suffix-wrapper' )
+        return suffixes.length == 0 ? '' : suffixes[0].innerHTML
+    }
 
     /**
      * Quill requires all Embed subclasses to define a static method for
@@ -82,10 +101,15 @@ export class Grouper extends Embed {
      * of any actual instance of this class, and must behave without access to
      * any such instance.
      * 
-     * The `value` parameter will have just one attribute, `id`, a nonzero
-     * integer.  If negative, it is a left/open grouper; if positive, it is a
-     * right/close grouper.  Two groupers whose ids have the same absolute value
-     * are partners.
+     * The `value` parameter must have an attribute `id`, the id of the group
+     * (a string or a positive integer), and an attribute `open`, a boolean
+     * that is true for a left/open grouper and false for a right/close
+     * grouper.  Two groupers with the same id are partners.  It may also have
+     * an attribute `data`, an object mapping keys to arbitrary JSON values,
+     * which is the data stored in the group (see `Group.set()`).  Only close
+     * groupers store data.  The data is kept in the DOM node as a JSON string,
+     * so that it is copied along with the node by the clipboard, and read back
+     * with its types intact by `value()`.
      * 
      * @param {Object} value - JSON data describing the grouper
      * @returns {Node} a node to be added to the DOM
@@ -93,16 +117,21 @@ export class Grouper extends Embed {
     static create ( value ) {
         const node = super.create( value )
         node.setAttribute( 'data-id', value.id )
+        node.setAttribute( 'data-open', !!value.open )
+        if ( value.data && Object.keys( value.data ).length > 0 )
+            node.setAttribute( 'data-group-data', JSON.stringify( value.data ) )
         if ( Grouper.idToHTML )
-            appendHTML( node, Grouper.idToHTML( value.id ) )
+            appendHTML( node, Grouper.idToHTML( value.id, !!value.open ) )
         return node
     }
 
     /**
      * This is the inverse of the `create()` function you see above.  It
      * extracts from the DOM node representing the grouper its meaning in JSON
-     * form.  This may be the same as it was at creation time, unless some code
-     * has altered that meaning since then.
+     * form, which is what appears in the grouper's entry in a Quill Delta, such
+     * as the one returned by `quill.getContents()`.  Because group data is
+     * part of this value, it survives `getContents()`/`setContents()` round
+     * trips, the history module, and copy/paste.
      * 
      * This, too, is a static function that Quill requires us to provide in this
      * class.  Note that we may assume that the element passed to us is one that
@@ -110,9 +139,20 @@ export class Grouper extends Embed {
      * 
      * @param {HTMLElement} element - the element in the DOM representing a
      *   grouper
-     * @returns {Object} the JSON data structure representing a grouper
+     * @returns {Object} the JSON data structure representing a grouper, with
+     *   `id` and `open` attributes and (if the grouper stores any data) a
+     *   `data` attribute, as documented in `create()`
      */
-    static value ( element ) { return element.dataset }
+    static value ( element ) {
+        const id = element.dataset.id
+        const result = {
+            id : /^\d+$/.test( id ) ? Number( id ) : id,
+            open : element.dataset.open == 'true'
+        }
+        if ( element.dataset.groupData )
+            result.data = JSON.parse( element.dataset.groupData )
+        return result
+    }
 
     /**
      * Quill requires Embed subclasses to have length 1, essentially treating
@@ -141,16 +181,21 @@ export class Grouper extends Embed {
      * 
      * The call to `super()` stores the node, and we need not store the value,
      * because it will change over time and should be looked up using our
-     * `value()` method instead.  We take this opportunity to store the ID from
-     * the value, however, which should not change throughout the life of this
-     * grouper, and is convenient to not have to recompute later.
+     * `value()` method instead.  We take this opportunity to store the ID and
+     * open/close status from the node, however, which should not change
+     * throughout the life of this grouper, and are convenient to not have to
+     * recompute later.  (We read it
+     * from the node rather than the value, because Quill does not provide a
+     * value when it builds a blot from an existing DOM node.)
      * 
      * @param {Node} node - the node in the DOM that will represent this grouper
      * @param {Object} value - the JSON data representing this grouper
      */
     constructor ( node, value ) {
         super( node, value )
-        this.id = value.id
+        const initial = Grouper.value( node )
+        this.id = initial.id
+        this.open = initial.open
     }
 
     /**
@@ -158,14 +203,18 @@ export class Grouper extends Embed {
      * grouper after it.  The open grouper's partner is the close grouper, and
      * vice versa.  This function searches the document to find this grouper's
      * partner, caches it, and returns it.  Later lookups will use the cached
-     * value and thus be faster.
+     * value and thus be faster, unless the cached partner has since left the
+     * document (e.g., because an edit replaced it with a new grouper having
+     * the same id), in which case the search is repeated.
      * 
      * @returns {Grouper} the other grouper in the user's document that
      *   corresponds to this one
      */
     partner () {
-        if ( !this._partner ) {
-            const result = this.scroll.descendants( Grouper ).find( g => g.id == -this.id )
+        if ( !this._partner || !this.scroll.domNode.contains( this._partner.domNode ) ) {
+            delete this._partner
+            const result = this.scroll.descendants( Grouper ).find(
+                g => g.id == this.id && g.open != this.open )
             if ( result ) {
                 this._partner = result
                 result._partner = this
@@ -179,7 +228,7 @@ export class Grouper extends Embed {
      * 
      * @returns {boolean} whether this grouper is the open grouper in its pair
      */
-    isOpen () { return this.id < 0 }
+    isOpen () { return this.open }
 
     /**
      * Is this the close grouper in its pair?
@@ -206,26 +255,6 @@ export class Grouper extends Embed {
      */
     getClose () { return this.isOpen() ? this.partner() : this }
     
-    /**
-     * We override the default behavior of deletion for Embeds, because deleting
-     * one grouper in a pair should result in the deletion of the other as well.
-     * This function does exactly that, accepting its own deletion by calling
-     * the `deleteAt()` method in the superclass, then also calling the same
-     * method in its partner (unless of course the partner is doing that to us).
-     * 
-     * @param {integer} index - the index within this object to being the
-     *   deletion (irrelevant in the case of Embeds)
-     * @param {integer} length - the number of characters to delete (irrelevant
-     *   in the case of Embeds)
-     */
-    deleteAt ( index, length ) {
-        if ( this.beingDeleted ) return
-        this.beingDeleted = true
-        const partner = this.partner() // in case deleting this would mess up computing the partner...
-        super.deleteAt( index, length ) // ...we chose to do that first.
-        if ( partner ) partner.deleteAt( 0, 1 )
-    }
-
     /**
      * The purpose of groupers is to delimit the boundaries in a document that
      * represent various groups of meaningful content.  The `Group` class
@@ -2,10 +2,103 @@
 // Assumes you've already pulled in Quill from its CDN
 
 const Module = Quill.import( 'core/module' )
+const Delta = Quill.import( 'delta' )
 import { Grouper } from './grouper-blots.js'
 import { Group } from './group.js'
-import { addToolbarButton } from './quill-tools.js'
+import { GroupIndex } from './group-index.js'
+import { addToolbarButton, addToolbarMenu } from './quill-tools.js'
 import { ScreenPoint } from './screen-point.js'
+import { ScreenRect } from './screen-rect.js'
+import { Tooltip } from './tooltip.js'
+import { ContextMenu } from './context-menu.js'
+
+// Utility function for use in this module only: a random (version 4) UUID.
+// The browser's own `crypto.randomUUID()` exists only in secure contexts, so
+// we fall back on building one from random bytes when it is not present.
+const uuid = () => {
+    if ( crypto.randomUUID ) return crypto.randomUUID()
+    const bytes = crypto.getRandomValues( new Uint8Array( 16 ) )
+    bytes[6] = ( bytes[6] & 0x0f ) | 0x40
+    bytes[8] = ( bytes[8] & 0x3f ) | 0x80
+    const hex = Array.from( bytes, b => b.toString( 16 ).padStart( 2, '0' ) ).join( '' )
+    return `${hex.slice(0,8)}-${hex.slice(8,12)}-${hex.slice(12,16)}-${hex.slice(16,20)}-${hex.slice(20)}`
+}
+
+// Utility function for use in this module only: combine the given group
+// styles (see `GroupsModule.styleOf()`), later ones taking precedence, and
+// combining the attributes of each state (outline, hover, cursor) separately.
+const mergeStyles = ( ...styles ) => {
+    const result = { }
+    styles.filter( style => style ).forEach( style =>
+        Object.keys( style ).forEach( key => result[key] =
+            style[key] instanceof Object && !( style[key] instanceof Function ) ?
+                Object.assign( { }, result[key], style[key] ) : style[key] ) )
+    return result
+}
+
+// Utility for use in this module only: may the user edit the given group, that
+// is, does no part of it touch a locked group, including any group around it?
+// (See `GroupsModule.touchesLocked()`.)
+const isEditable = group => {
+    const indices = group.indices()
+    return !group.module.touchesLocked( indices.beforeOpen,
+        indices.afterClose - indices.beforeOpen )
+}
+
+// Utility for use in this module only: the actions in the context menu of
+// groups by default, in the form documented in `addContextMenuAction()`
+const defaultContextMenuActions = [
+    {
+        name : 'unwrap',
+        label : 'Unwrap',
+        predicate : isEditable,
+        run : group => group.unwrap( Quill.sources.USER )
+    },
+    {
+        name : 'selectContents',
+        label : 'Select contents',
+        run : group => {
+            const indices = group.indices()
+            group.quill.setSelection( indices.afterOpen,
+                indices.beforeClose - indices.afterOpen, Quill.sources.USER )
+        }
+    },
+    {
+        name : 'editData',
+        label : 'Edit data...',
+        predicate : isEditable,
+        run : group => {
+            const json = prompt( 'Data for this group, in JSON form:',
+                JSON.stringify( group.data() ) )
+            if ( json === null ) return
+            try {
+                group.setData( JSON.parse( json ), Quill.sources.USER )
+            } catch ( error ) {
+                alert( `Not valid JSON data: ${error.message}` )
+            }
+        }
+    },
+    {
+        name : 'changeType',
+        label : 'Change type',
+        predicate : group => isEditable( group ) && group.module.types.size > 0,
+        submenu : group => [ ...group.module.types.keys(), undefined ].map( type => ( {
+            name : `${type}`,
+            label : type === undefined ? '(untyped)' : type,
+            predicate : group => group.type() !== type,
+            run : group => group.setType( type, Quill.sources.USER )
+        } ) )
+    },
+    {
+        name : 'copyJSON',
+        label : 'Copy as JSON',
+        // the clipboard API exists only in secure contexts (e.g., not when the
+        // page is served over plain HTTP from another machine)
+        predicate : () => !!navigator.clipboard,
+        run : group => navigator.clipboard.writeText( JSON.stringify( group.toJSON() ) )
+            .catch( error => alert( `Could not copy to the clipboard: ${error.message}` ) )
+    }
+]
 
 // Partially imitating the example here:
 // https://github.com/jspaine/quill-placeholder-module/blob/master/src/placeholder-module.ts#L22
@@ -19,6 +112,48 @@ import { ScreenPoint } from './screen-point.js'
  */
 class GroupsModule extends Module {
 
+    // Default options for this module, which Quill combines with any options
+    // the client provides when installing it.  See `generateId()`,
+    // `normalize()`, `setTooltip()`, `barOf()`, `styleOf()`, `defineType()`,
+    // `wrapSelection()`, `defineTemplate()`, `runCommand()`,
+    // `addContextMenuAction()`, and `applyFeedback()`, and for `regionShape`,
+    // the Region class's constructor.
+    static DEFAULTS = {
+        generateId : () => uuid(),
+        repair : false,
+        showTooltips : 'hover',
+        regionShape : 'lines',
+        barWidth : 3,
+        barSpacing : 5,
+        style : {
+            grouperHTML : null,
+            outline : { bar : '#cccccc' },
+            hover : { corners : '#ff0000', bar : '#ff0000' },
+            cursor : { stroke : '#ff0000', bar : '#ff0000' }
+        },
+        styles : { },
+        types : { },
+        typeViolations : 'warn',
+        templates : { },
+        feedback : {
+            valid : { color : '#22aa44', icon : '✓' },
+            invalid : { color : '#dd2222', icon : '✗' },
+            warning : { color : '#dd9900', icon : '!' }
+        },
+        feedbackIconSize : 14,
+        keys : {
+            wrap : { key : 'G', shortKey : true },
+            selectContents : { key : 'G', shortKey : true, shiftKey : true },
+            parent : { key : 'Up', altKey : true, shiftKey : true },
+            firstChild : { key : 'Down', altKey : true, shiftKey : true },
+            previous : { key : 'Left', altKey : true, shiftKey : true },
+            next : { key : 'Right', altKey : true, shiftKey : true },
+            start : { key : 36, altKey : true, shiftKey : true }, // Home
+            end : { key : 35, altKey : true, shiftKey : true }    // End
+        },
+        contextMenu : true
+    }
+
     /**
      * Construct an instance of this module for the given editor.  It installs
      * relevant toolbar buttons and does other simple setup actions.
@@ -38,18 +173,373 @@ class GroupsModule extends Module {
             this.allGroups().forEach(
                 ( g, i ) => console.log( `${i}. ${g.debug()}` ) ) )
 
-        // if the overlay module is present (which it ought to be) then tell it
-        // to call our `drawGroups()` method to draw group outlines on itself
+        // install keyboard shortcuts for the commands in `runCommand()`; Quill
+        // runs the bindings for a key in order, so ours must precede its own,
+        // some of which (such as moving past embeds) match any modifier keys
+        Object.keys( this.options.keys ).forEach( name => {
+            if ( !this.options.keys[name] ) return
+            const handler = range => !this.runCommand( name, range )
+            this.quill.keyboard.addBinding( this.options.keys[name], handler )
+            const bindings = Object.values( this.quill.keyboard.bindings ).find(
+                bindings => bindings[bindings.length - 1].handler == handler )
+            bindings.unshift( bindings.pop() )
+        } )
+
+        // install templates, and a toolbar menu for inserting them; the
+        // menu's first item is just its title, to which it always returns
+        this.templates = new Map()
+        this.placeholders = [ ]
+        this.templateSpan = null
+        this.templateMenu = addToolbarMenu( this.quill, [ 'Insert...' ], event => {
+            const name = event.target.value
+            event.target.selectedIndex = 0
+            if ( this.templates.has( name ) ) this.insertTemplate( name )
+        } )
+        Object.keys( this.options.templates ).forEach( name =>
+            this.defineTemplate( name, this.options.templates[name] ) )
+        this.quill.on( 'editor-change', ( type, change ) => {
+            if ( type == 'text-change' ) this.updatePlaceholders( change )
+            else if ( change ) this.leavePlaceholders( change )
+        } )
+        // Quill runs the bindings for a key in order, so ours must precede its
+        // own Tab handlers, which would otherwise insert a tab or indent
+        this.quill.keyboard.addBinding( { key : 'Tab', shiftKey : false },
+            () => this.nextPlaceholder( true ) )
+        this.quill.keyboard.addBinding( { key : 'Tab', shiftKey : true },
+            () => this.nextPlaceholder( false ) )
+        const tabBindings = this.quill.keyboard.bindings[9]
+        tabBindings.unshift( ...tabBindings.splice( -2 ) )
+
+        // if the overlay module is present (which it ought to be) then give it
+        // two layers on which to draw groups: one for `drawGroups()`, which
+        // need not redraw when the mouse moves, and one above it for
+        // `drawHover()`, which must
         const overlayModule = quill.getModule( 'overlay' )
-        if ( overlayModule )
-            overlayModule.addEventListener( 'draw',
-                event => this.drawGroups( event.context ) )
+        if ( overlayModule ) {
+            overlayModule.addLayer( 'groups', {
+                redrawOn : [ 'text-change', 'selection-change', 'scroll', 'resize' ]
+            } ).addEventListener( 'draw', event => this.drawGroups( event.context ) )
+            overlayModule.addLayer( 'groups-hover' )
+                .addEventListener( 'draw', event => this.drawHover( event.context ) )
+        }
 
-        // track mouse position over the editor so that we can do `drawGroups()`
+        // track mouse position over the editor so that we can do `drawHover()`
         // in such a way that we react to mouse hovers
         this.lastMousePos = new ScreenPoint( -1, -1 )
-        this.quill.container.addEventListener( 'mousemove', event =>
-            this.lastMousePos = new ScreenPoint( event ) )
+        this.quill.container.addEventListener( 'mousemove', event => {
+            this.lastMousePos = new ScreenPoint( event )
+            this.updateTooltips()
+            this.updateHover( event )
+        } )
+
+        // tell clients about clicks on groups; we only listen, so the editor
+        // still gets these events and handles them as usual
+        this.hoveredId = null
+        const clickTypes = [ 'click', 'dblclick', 'contextmenu' ]
+        clickTypes.forEach( type =>
+            this.quill.container.addEventListener( type,
+                event => this.emitPointerEvent( `group-${type}`, event ) ) )
+
+        // right-clicking a group shows a menu of actions on it, unless a
+        // handler of the `group-contextmenu` event prevented it
+        this.contextMenu = new ContextMenu( quill.container.ownerDocument )
+        this.contextMenuActions = [ ]
+        if ( this.options.contextMenu ) {
+            defaultContextMenuActions.forEach( action => this.addContextMenuAction( action ) )
+            this.quill.container.addEventListener( 'contextmenu', event => {
+                if ( event.defaultPrevented ) return
+                const point = new ScreenPoint( event )
+                const index = this.indexAtPoint( point )
+                const group = index === undefined ? undefined : this.groupAround( index )
+                if ( !group || !this.showContextMenu( group, point ) ) return
+                event.preventDefault()
+            } )
+        }
+
+        // show and hide group tooltips as the mouse and cursor move, except
+        // that the mouse may leave the editor to interact with a tooltip
+        this.tooltips = new Map()
+        this.quill.container.addEventListener( 'mouseleave', event => {
+            if ( [ ...this.tooltips.values() ].some( entry =>
+                    entry.tooltip.box.contains( event.relatedTarget ) ) ) return
+            this.lastMousePos = new ScreenPoint( -1, -1 )
+            this.updateTooltips()
+            this.updateHover( event )
+        } )
+        this.quill.on( 'selection-change', () => this.updateTooltips() )
+        this.quill.on( 'text-change', () => setTimeout( () => this.updateTooltips(), 0 ) )
+
+        // keep an index of where all groups are, updated after every change
+        // (even silent ones) and before any text-change handler runs; we also
+        // cache the regions groups occupy on screen, which any change can alter
+        this.groupIndex = new GroupIndex( quill )
+        this.regions = new Map()
+        this.paragraphGroups = new Map()
+
+        // styles for kinds of groups and for individual groups, which may
+        // change the HTML of groupers whenever the document changes
+        this.typeStyles = new Map( Object.entries( this.options.styles ) )
+        this.groupStyles = new Map()
+
+        // the types of groups, and the rules for where each can go
+        this.types = new Map( Object.entries( this.options.types ) )
+        this.quill.on( 'text-change', () => this.applyGrouperHTML() )
+
+        // create an internal EventTarget instance for group lifecycle events,
+        // and before each change updates the index, record enough about the
+        // groups it hits to know which of them it added, removed, or altered
+        this.eventTarget = new EventTarget()
+        this.quill.on( 'editor-change', ( type, delta, oldContents, source ) => {
+            if ( type != 'text-change' ) return
+            const before = this.takeSnapshot( delta )
+            this.groupIndex.update( delta )
+            this.regions.clear()
+            this.paragraphGroups.clear()
+            this.emitLifecycleEvents( delta, oldContents, source, before )
+        } )
+
+        // feedback on groups (e.g., from validation) is drawn on the overlay,
+        // with its message shown on hover, until the group's content changes
+        this.feedback = new Map()
+        this.feedbackTooltip = new Tooltip( this.quill.scroll.domNode )
+        this.feedbackTooltipId = null
+        this.addEventListener( 'group-content-changed',
+            event => this.clearFeedback( event.ids ) )
+
+        // groupers must be deleted in pairs, so after each edit, remove any
+        // grouper whose partner that edit deleted
+        this.quill.on( 'text-change', ( delta, oldContents ) =>
+            this.removeOrphans( this.deletedGroupers( delta, oldContents ) ) )
+
+        // if the client asked us to, repair any structural problems (see
+        // `validate()`) that an edit involving groupers may have introduced
+        this.quill.on( 'text-change', ( delta, oldContents ) => {
+            if ( this.options.repair && this.touchesGroupers( delta, oldContents ) )
+                this.normalize( this.options.repair )
+        } )
+
+        // cut and paste must respect group boundaries, and pasted groups must
+        // get fresh ids; we listen on the container, during the capture phase,
+        // so that we see these events before Quill's clipboard module does
+        this.quill.container.addEventListener( 'cut',
+            event => this.checkClipboardEvent( event ), true )
+        this.quill.container.addEventListener( 'paste',
+            event => this.checkClipboardEvent( event ), true )
+        const clipboard = this.quill.clipboard
+        const convert = clipboard.convert.bind( clipboard )
+        clipboard.convert = html => {
+            const result = convert( html )
+            // Quill calls convert() with no argument to convert pasted content
+            if ( html !== undefined || !this.pasting ) return result
+            this.pasting = false
+            return this.cleanPaste( result )
+        }
+
+        // the user may not edit locked groups (see `touchesLocked()`), so we
+        // stop each keyboard shortcut that edits the selection when it touches
+        // one, where Backspace or Delete with a collapsed selection just
+        // outside a locked group would remove one of its groupers; each goes
+        // first among the bindings for its key, except that Tab still moves
+        // among placeholders (see `nextPlaceholder()`)
+        const anyModifiers = { shiftKey : null, altKey : null, ctrlKey : null, metaKey : null }
+        const lockedKeys = [
+            Object.assign( { key : 8, collapsed : true, offset : -1 }, anyModifiers ), // Backspace
+            Object.assign( { key : 46, collapsed : true, offset : 0 }, anyModifiers ), // Delete
+            Object.assign( { key : 8, collapsed : false }, anyModifiers ),
+            Object.assign( { key : 46, collapsed : false }, anyModifiers ),
+            Object.assign( { key : 13 }, anyModifiers ),                               // Enter
+            Object.assign( { key : 9 }, anyModifiers ),                                // Tab
+            Object.assign( { key : 32 }, anyModifiers ),                               // space
+            { key : 'B', shortKey : true },
+            { key : 'I', shortKey : true },
+            { key : 'U', shortKey : true }
+        ]
+        lockedKeys.forEach( ( { offset, ...binding } ) => {
+            this.quill.keyboard.addBinding( binding, range => offset === undefined ?
+                !this.touchesLocked( range.index, range.length ) :
+                !this.touchesLocked( range.index + offset, 1 ) )
+            const code = typeof binding.key == 'string' ? binding.key.charCodeAt( 0 ) : binding.key
+            const bindings = this.quill.keyboard.bindings[code]
+            bindings.splice( code == 9 ? 2 : 0, 0, bindings.pop() )
+        } )
+        // the toolbar formats the selection or wraps it in a group, so we stop
+        // clicks on its controls (during the capture phase, before they arrive)
+        const toolbar = this.quill.getModule( 'toolbar' )
+        const toolbarEvents = [ 'click', 'change' ]
+        if ( toolbar ) toolbarEvents.forEach( type =>
+            toolbar.container.addEventListener( type, event => {
+                const range = this.quill.getSelection()
+                if ( !range || !this.touchesLocked( range.index, range.length ) ) return
+                event.preventDefault()
+                event.stopPropagation()
+            }, true ) )
+        // and the browser edits the document itself when the user types, drags,
+        // or drops, before Quill hears of it, so we must stop those edits first
+        this.quill.root.addEventListener( 'beforeinput',
+            event => this.checkInputEvent( event ), true )
+        this.quill.root.addEventListener( 'dragstart',
+            event => this.checkInputEvent( event ), true )
+        this.quill.root.addEventListener( 'drop',
+            event => this.checkInputEvent( event ), true )
+    }
+
+    /**
+     * We cannot make this module an `EventTarget` because JavaScript does not
+     * support multiple inheritance, and it must be a Quill `Module`.  Thus we
+     * have an internal `EventTarget` instance, and expose its API by passing
+     * calls to this function through into that internal object.
+     * 
+     * After each change to the document (including silent ones), this module
+     * emits the following events, each only if the change affected at least
+     * one group in the way described.  Every event has an `ids` member, the
+     * array of ids of the groups affected, and `delta` and `source` members,
+     * the change and its source, as Quill reports them.
+     * 
+     *  - `'group-added'` - the groups with the given ids are new to the
+     *    document (e.g., `wrapSelection()` created them, or they were pasted)
+     *  - `'group-removed'` - the groups with the given ids are no longer in the
+     *    document
+     *  - `'group-content-changed'` - the text inside the groups with the given
+     *    ids changed; the event's `oldText` and `newText` members are Maps
+     *    from each such id to the group's text before and after the change
+     *    (as in `quill.getText()`, so embeds are omitted)
+     *  - `'group-data-changed'` - the data stored in the groups with the given
+     *    ids changed (e.g., by `Group.set()`); the event's `oldData` and
+     *    `newData` members are Maps from each such id to the group's data
+     *    before and after the change
+     * 
+     * A change that removes a group and adds one with the same id (as undoing
+     * and redoing can) counts as changing it, not removing and adding it.
+     * Groupers that do not form a proper pair (see `validate()`) do not count
+     * as groups for these events.
+     * 
+     * This module also emits events when the user points at groups with the
+     * mouse.  Each has an `id` member, the id of the group, a `group` member,
+     * a Group instance for it, and an `originalEvent` member, the mouse event
+     * that led to this one.  Each concerns only the innermost group under the
+     * mouse (see `groupAtPoint()`).  The editor still receives the mouse
+     * events as usual, but a handler can call `preventDefault()` on the
+     * event it receives to prevent the mouse event's default behavior (e.g.,
+     * to replace the browser's context menu with its own).
+     * 
+     *  - `'group-click'`, `'group-dblclick'`, `'group-contextmenu'` - the user
+     *    clicked, double-clicked, or right-clicked in the group
+     *  - `'group-enter'` - the mouse moved into the group, from outside it or
+     *    from a group around it
+     *  - `'group-leave'` - the mouse moved out of the group, to outside it or
+     *    into a group within it (the group may no longer be in the document,
+     *    in which case the event's `group` member is undefined)
+     * 
+     * @param  {...any} args - an event type and handler, plus the optional
+     *   `useCapture` boolean or `options` object, as usual for
+     *   `addEventListeners()`
+     */
+    addEventListener ( ...args ) {
+        this.eventTarget.addEventListener( ...args )
+    }
+
+    /**
+     * Also part of the passthrough API for the inner EventTarget; see
+     * `addEventListener()` for details.  The parameters are the same.
+     */
+    removeEventListener ( ...args ) {
+        this.eventTarget.removeEventListener( ...args )
+    }
+
+    /**
+     * Used internally to record, just before the group index is updated for a
+     * change, the information that `emitLifecycleEvents()` compares before and
+     * after that change: the range of the document inside each group and the
+     * group's data.  This records only the groups the change hits, that is,
+     * those into which it inserts, those from which it deletes (including
+     * their groupers), and those with the ids of groupers it inserts, so that
+     * typing does not cost time proportional to the number of groups.
+     * 
+     * @param {Delta} delta - the change just made to the document, which the
+     *   group index does not yet reflect
+     * @returns {Map} a map from group ids to objects with `afterOpen`,
+     *   `beforeClose`, and `data` attributes
+     */
+    takeSnapshot ( delta ) {
+        const hit = new Set()
+        let index = 0
+        delta.forEach( op => {
+            if ( op.retain ) {
+                index += op.retain
+                return
+            }
+            this.groupIndex.containing( index ).forEach( node => hit.add( node ) )
+            if ( op.delete ) {
+                const end = index + op.delete
+                this.groupIndex.groupers().forEach( entry => {
+                    if ( entry.node && index <= entry.index && entry.index < end )
+                        hit.add( entry.node )
+                } )
+                index = end
+            } else if ( op.insert.grouper ) {
+                const node = this.groupIndex.get( op.insert.grouper.id )
+                if ( node ) hit.add( node )
+            }
+        } )
+        const result = new Map()
+        hit.forEach( node => result.set( node.id, {
+            afterOpen : node.open.index + 1,
+            beforeClose : node.close.index,
+            data : JSON.stringify( node.close.value.data || { } )
+        } ) )
+        return result
+    }
+
+    /**
+     * Used internally to compare the groups in the document after a change
+     * with those recorded before it by `takeSnapshot()`, and emit the events
+     * documented in `addEventListener()`.  Only the groups the change hit,
+     * and those it inserted groupers for, are compared.
+     * 
+     * @param {Delta} delta - the change made to the document
+     * @param {Delta} oldContents - the document contents before the change
+     * @param {string} source - the Quill source of the change
+     * @param {Map} before - the records of the groups the change hit, from
+     *   `takeSnapshot()`
+     */
+    emitLifecycleEvents ( delta, oldContents, source, before ) {
+        const inserted = delta.filter( op => op.insert && op.insert.grouper )
+            .map( op => op.insert.grouper.id )
+        const textOf = contents => contents.filter(
+            op => typeof op.insert == 'string' ).map( op => op.insert ).join( '' )
+        // compare the old and new records for each group
+        const added = [ ...new Set( inserted ) ].filter( id =>
+            !before.has( id ) && this.groupIndex.get( id ) )
+        const removed = [ ...before.keys() ].filter( id => !this.groupIndex.get( id ) )
+        const oldText = new Map(), newText = new Map()
+        const oldData = new Map(), newData = new Map()
+        before.forEach( ( old, id ) => {
+            const node = this.groupIndex.get( id )
+            if ( !node ) return
+            const afterOpen = node.open.index + 1
+            const was = textOf( oldContents.slice( old.afterOpen, old.beforeClose ) )
+            const is = this.quill.getText( afterOpen, node.close.index - afterOpen )
+            if ( was != is ) {
+                oldText.set( id, was )
+                newText.set( id, is )
+            }
+            const data = JSON.stringify( node.close.value.data || { } )
+            if ( old.data != data ) {
+                oldData.set( id, JSON.parse( old.data ) )
+                newData.set( id, JSON.parse( data ) )
+            }
+        } )
+        // emit an event for each kind of change that happened
+        const emit = ( type, ids, details ) => {
+            if ( ids.length == 0 ) return
+            const event = new Event( type )
+            Object.assign( event, { ids, delta, source }, details )
+            this.eventTarget.dispatchEvent( event )
+        }
+        emit( 'group-added', added )
+        emit( 'group-removed', removed )
+        emit( 'group-content-changed', [ ...newText.keys() ], { oldText, newText } )
+        emit( 'group-data-changed', [ ...newData.keys() ], { oldData, newData } )
     }
 
     /**
@@ -72,7 +562,21 @@ class GroupsModule extends Module {
      *   groupers appear in the editor
      */
     allGroups () {
-        return this.findAll( g => g.isOpen() ).map( g => new Group( g ) )
+        return this.groupIndex.nodes().map( node => this.groupFromNode( node ) )
+    }
+
+    /**
+     * Create a Group instance from a node in this module's index of groups.
+     * (See the GroupIndex class for the definition of a node.)  The index
+     * knows where the group's groupers are, so this is faster than creating a
+     * group from just one of its groupers, which must search for its partner.
+     * 
+     * @param {Object} node - a node from this module's GroupIndex
+     * @returns {Group} the group that the node represents
+     */
+    groupFromNode ( node ) {
+        return new Group( this.quill.getLeaf( node.open.index + 1 )[0],
+                          this.quill.getLeaf( node.close.index + 1 )[0] )
     }
 
     /**
@@ -87,8 +591,9 @@ class GroupsModule extends Module {
      *   the same order that they appear in the document
      */
     findAll ( predicate ) { // predicate maps grouper, index pair to bool
+        const entries = this.groupIndex.groupers()
         return this.allGroupers().filter(
-            g => predicate( g, this.quill.getIndex( g ) ) )
+            ( g, i ) => predicate( g, entries[i].index ) )
     }
 
     /**
@@ -101,8 +606,9 @@ class GroupsModule extends Module {
      */
     find ( predicate ) {
         const all = this.allGroupers()
+        const entries = this.groupIndex.groupers()
         for ( let i = 0 ; i < all.length ; i++ )
-            if ( predicate( all[i], i ) ) return all[i]
+            if ( predicate( all[i], entries[i].index ) ) return all[i]
     }
 
     /**
@@ -114,34 +620,39 @@ class GroupsModule extends Module {
      */
     findLast ( predicate ) {
         const all = this.allGroupers()
+        const entries = this.groupIndex.groupers()
         for ( let i = all.length - 1 ; i >= 0 ; i-- )
-            if ( predicate( all[i], i ) ) return all[i]
+            if ( predicate( all[i], entries[i].index ) ) return all[i]
     }
 
     /**
-     * Each group has a unique positive integer id.  This function returns the
-     * pair of groupers (the open and close groupers) for the group with the
-     * given id, or undefined if no such group currently sits in the editor.
+     * Each group has a unique id (see `generateId()`).  This function returns
+     * the pair of groupers (the open and close groupers) for the group with the
+     * given id, or an empty array if no such group currently sits in the
+     * editor.
      * 
-     * @param {integer} id - a positive integer, the id for the group to find
+     * @param {string|integer} id - the id for the group to find
      * @returns {Array} the two groupers in the document with the given id, as
      *   an array of length 2, or an empty array if there is no such pair
      */
-    pairWithId ( id ) { return this.findAll( g => g.id == id ) }
+    pairWithId ( id ) {
+        const node = this.groupIndex.get( id )
+        return node ? [ this.quill.getLeaf( node.open.index + 1 )[0],
+                        this.quill.getLeaf( node.close.index + 1 )[0] ] : [ ]
+    }
 
     /**
-     * Each group has a unique positive integer id.  This function returns the
-     * group with the given id, or undefined if no such group currently sits in
-     * the editor.
+     * Each group has a unique id (see `generateId()`).  This function returns
+     * the group with the given id, or undefined if no such group currently
+     * sits in the editor.
      * 
-     * @param {integer} id - a positive integer, the id for the group to find
+     * @param {string|integer} id - the id for the group to find
      * @returns {Group} the group in the document with the given id, or
      *   undefined if there is no such group
      */
     groupWithId ( id ) {
-        const groupers = this.pairWithId( id )
-        if ( groupers.length > 0 )
-            return new Group( ...groupers )
+        const node = this.groupIndex.get( id )
+        if ( node ) return this.groupFromNode( node )
     }
 
     /**
@@ -153,39 +664,383 @@ class GroupsModule extends Module {
      * 
      * @param {integer} index - index into the document, that is, the character
      *   position in the document about which this question is being asked
-     * @returns {Array} the array of integer ids of groups that are still open
+     * @returns {Array} the array of ids of groups that are still open
      *   at the given document position
      */
     idsContaining ( index ) {
+        return this.groupIndex.containing( index ).map( node => node.id )
+    }
+
+    /**
+     * Create an id for a new group.  Ids are never reused, so that anything
+     * keyed by a group's id (such as feedback about the group from some other
+     * piece of software) can never attach to the wrong group, even after the
+     * group it was meant for has been deleted.
+     * 
+     * By default, ids are random UUIDs, which are globally unique without
+     * needing to consult the document, and thus take constant time to
+     * generate.  You can replace this strategy by providing a `generateId`
+     * function in the options given to this module, which must return a new
+     * string or positive integer on each call, never one returned before.
+     * For example, a server could hand out ids from a sequence it maintains.
+     * 
+     * @returns {string|integer} an id not used by any group, past or present
+     */
+    generateId () { return this.options.generateId() }
+
+    /**
+     * Given a change to the document and the contents of the document before
+     * that change (as Quill provides to `text-change` event handlers), find
+     * the values of all groupers that the change deleted.
+     * 
+     * @param {Delta} delta - the change made to the document
+     * @param {Delta} oldContents - the document contents before the change
+     * @returns {Array} the values (see `Grouper.value()`) of all groupers that
+     *   the change deleted, in the order they appeared in the old document
+     */
+    deletedGroupers ( delta, oldContents ) {
         const result = [ ]
-        for ( let grouper of this.allGroupers() ) {
-            if ( this.quill.getIndex( grouper ) >= index ) break
-            if ( grouper.isOpen() )
-                result.push( grouper.id )
-            else
-                result.pop()
-        }
+        let index = 0
+        delta.forEach( op => {
+            if ( op.retain ) {
+                index += op.retain
+            } else if ( op.delete ) {
+                oldContents.slice( index, index + op.delete ).forEach( old => {
+                    if ( old.insert.hasOwnProperty( 'grouper' ) )
+                        result.push( old.insert.grouper )
+                } )
+                index += op.delete
+            }
+        } )
         return result
     }
 
     /**
-     * The first group created in the document will have id 1.  The next group
-     * will have id 2, assuming the first one still exists; if the first one has
-     * been deleted, then the second one will take id 1 instead.  And so on,
-     * each new group will have the smallest id currently available, that is,
-     * not currently being used by an existing group.
+     * Groupers come in pairs, so if one grouper of a pair has been deleted,
+     * its partner must be deleted as well, or it would be left as an orphan,
+     * delimiting no group.  Given the values of deleted groupers (as computed
+     * by `deletedGroupers()`), this function removes from the document any
+     * grouper whose partner is among those deleted and no longer present.
+     * A grouper that was deleted and then reinserted with the same id (as
+     * `Group.set()` does) still has its partner, and so nothing is removed.
      * 
-     * This function looks through the document to find the smallest unused id,
-     * so that it can be used for the next group to be added to the document.
+     * @param {Array} deleted - the values of the groupers that were deleted
+     * @param {string} source - a Quill source (e.g., `Quill.sources.API`),
+     *   meaning the source of the action that led to this edit
+     */
+    removeOrphans ( deleted, source=Quill.sources.API ) {
+        if ( deleted.length == 0 ) return
+        const ids = deleted.map( value => value.id )
+        const remaining = this.grouperPositions().filter(
+            grouper => ids.includes( grouper.value.id ) )
+        const orphans = remaining.filter( grouper => !remaining.some( other =>
+            other.value.id == grouper.value.id && other.value.open != grouper.value.open ) )
+        orphans.reverse().forEach( orphan =>
+            this.quill.deleteText( orphan.index, 1, source ) )
+    }
+
+    /**
+     * Could the given change to the document have altered its group
+     * structure?  Only changes that insert or delete groupers can do so; all
+     * other changes (such as typing or formatting text) cannot, and so do not
+     * require the structure to be checked again.
      * 
-     * @returns {integer} the smallest positive integer not currently being used
-     *   as an id by a group in the document
+     * @param {Delta} delta - the change made to the document
+     * @param {Delta} oldContents - the document contents before the change
+     * @returns {boolean} whether the change inserted or deleted any groupers
      */
-    nextAvailableId () {
-        const usedIds = this.allGroupers().map( g => g.id )
-        let possibleAnswer = 1
-        while ( usedIds.includes( possibleAnswer ) ) possibleAnswer++
-        return possibleAnswer
+    touchesGroupers ( delta, oldContents ) {
+        return delta.ops.some( op => op.insert && op.insert.grouper )
+            || this.deletedGroupers( delta, oldContents ).length > 0
+    }
+
+    /**
+     * The position and value of every grouper in the document, in the order
+     * they appear.  This comes from this module's index of groups, rather than
+     * computing each grouper's index separately, and so is suitable for
+     * examining the structure of the whole document.
+     * 
+     * @returns {Array} an array of objects, one per grouper, each with the
+     *   attributes `index` (the grouper's index in the document) and `value`
+     *   (its value, as in `Grouper.value()`), as well as the other attributes
+     *   documented in the GroupIndex class
+     */
+    grouperPositions () { return this.groupIndex.groupers() }
+
+    /**
+     * Check the group structure of the document for problems.  Groupers are
+     * supposed to come in properly nested pairs with unique ids (as described
+     * in the documentation for the `Group` class), but edits made through the
+     * API (e.g., `setContents()`) could violate that.  This function reports
+     * every violation, as an array of objects, each of which has a `problem`
+     * attribute (one of the following strings), an `ids` attribute (the ids
+     * involved), and an `indices` attribute (the indices in the document of
+     * the groupers involved).
+     * 
+     *  - `'duplicate'` - a grouper whose id was already used by an earlier
+     *    grouper of the same kind (open or close)
+     *  - `'unclosed'` - an open grouper with no close grouper after it
+     *  - `'unopened'` - a close grouper with no open grouper before it
+     *  - `'crossing'` - two pairs of groupers that overlap without nesting,
+     *    such as [1  [2  ]1  ]2
+     * 
+     * Duplicate groupers are left out of all other checks, as are unclosed
+     * and unopened groupers when checking for crossing pairs.
+     * 
+     * @returns {Array} the list of problems found, which is empty if the
+     *   document is well formed
+     */
+    validate () {
+        const result = [ ]
+        const opens = new Map() // open groupers, by id
+        const closes = new Map() // close groupers, by id
+        const paired = [ ] // groupers whose partner we found
+        this.grouperPositions().forEach( grouper => {
+            const id = grouper.value.id
+            const seen = grouper.value.open ? opens : closes
+            if ( seen.has( id ) ) {
+                result.push( { problem : 'duplicate', ids : [ id ], indices : [ grouper.index ] } )
+                return
+            }
+            seen.set( id, grouper )
+            if ( grouper.value.open ) return
+            if ( opens.has( id ) ) {
+                paired.push( opens.get( id ), grouper )
+            } else {
+                result.push( { problem : 'unopened', ids : [ id ], indices : [ grouper.index ] } )
+            }
+        } )
+        opens.forEach( ( grouper, id ) => {
+            if ( !closes.has( id ) || closes.get( id ).index < grouper.index )
+                result.push( { problem : 'unclosed', ids : [ id ], indices : [ grouper.index ] } )
+        } )
+        // walk the properly paired groupers, keeping a stack of open groups;
+        // any group still open above the one being closed crosses it
+        const stack = [ ]
+        paired.sort( ( a, b ) => a.index - b.index ).forEach( grouper => {
+            if ( grouper.value.open ) return stack.push( grouper )
+            const where = stack.findIndex( open => open.value.id == grouper.value.id )
+            if ( where < 0 ) return // already reported as crossing some earlier pair
+            stack.splice( where + 1 ).forEach( open => result.push( {
+                problem : 'crossing',
+                ids : [ grouper.value.id, open.value.id ],
+                indices : [ opens.get( grouper.value.id ).index, open.index,
+                            grouper.index, closes.get( open.value.id ).index ]
+                          .sort( ( a, b ) => a - b )
+            } ) )
+            stack.pop()
+        } )
+        return result
+    }
+
+    /**
+     * Repair the group structure of the document, so that `validate()` finds
+     * no problems with it.  This happens automatically after each edit that
+     * inserts or deletes groupers if this module was given the `repair`
+     * option, which can be either of the strategies below.  All repairs are
+     * made in one change to the document.
+     * 
+     *  - `'remove'` - remove every grouper involved in a problem: duplicates,
+     *    unclosed and unopened groupers, and, of any two crossing pairs, the
+     *    pair that opens later (so [1  [2  ]1  ]2 becomes [1  ]1)
+     *  - `'rename'` - keep as many groupers as possible, by pairing each close
+     *    grouper with the nearest unpaired open grouper before it, as if they
+     *    were parentheses, and renaming the close grouper to have the open
+     *    grouper's id (and that group's data), so that [1  [2  ]1  ]2 becomes
+     *    [1  [2  ]2  ]1; duplicated pairs get fresh ids, and only groupers that
+     *    cannot be paired at all are removed
+     * 
+     * @param {string} strategy - either `'remove'` or `'rename'`, as above
+     * @param {string} source - a Quill source (e.g., `Quill.sources.API`),
+     *   meaning the source of the action that led to this edit
+     */
+    normalize ( strategy='remove', source=Quill.sources.API ) {
+        const groupers = this.grouperPositions()
+        const changes = new Map() // maps grouper indices to new values, or null to remove
+        if ( strategy == 'remove' ) {
+            this.validate().forEach( problem => {
+                // for crossing pairs, the later-opened pair is the 2nd and 4th indices
+                const remove = problem.problem == 'crossing' ?
+                    [ problem.indices[1], problem.indices[3] ] : problem.indices
+                remove.forEach( index => changes.set( index, null ) )
+            } )
+        } else if ( strategy == 'rename' ) {
+            const data = new Map()
+            groupers.forEach( grouper => {
+                if ( !grouper.value.open && !data.has( grouper.value.id ) )
+                    data.set( grouper.value.id, grouper.value.data )
+            } )
+            const usedIds = new Set()
+            const stack = [ ]
+            groupers.forEach( grouper => {
+                if ( grouper.value.open ) return stack.push( grouper )
+                if ( stack.length == 0 ) return changes.set( grouper.index, null )
+                const open = stack.pop()
+                let id = open.value.id
+                if ( usedIds.has( id ) ) {
+                    id = this.generateId()
+                    changes.set( open.index, { id, open : true } )
+                }
+                usedIds.add( id )
+                const value = { id, open : false }
+                const newData = id == open.value.id ? data.get( id ) : grouper.value.data
+                if ( newData ) value.data = newData
+                if ( id != grouper.value.id
+                  || JSON.stringify( newData ) != JSON.stringify( grouper.value.data ) )
+                    changes.set( grouper.index, value )
+            } )
+            stack.forEach( open => changes.set( open.index, null ) )
+        } else {
+            throw new Error( `Invalid repair strategy: ${strategy}` )
+        }
+        if ( changes.size == 0 ) return
+        const delta = new Delta()
+        let last = 0
+        Array.from( changes.keys() ).sort( ( a, b ) => a - b ).forEach( index => {
+            delta.retain( index - last )
+            if ( changes.get( index ) )
+                delta.insert( { grouper : changes.get( index ) } )
+            delta.delete( 1 )
+            last = index + 1
+        } )
+        this.quill.updateContents( delta, source )
+    }
+
+    /**
+     * Would replacing the given portion of the document cross a group
+     * boundary?  That is, do its start and end lie inside different sets of
+     * groups?  If so, then deleting or replacing that portion would delete
+     * only one of some group's groupers, and so edits such as wrapping, cutting
+     * and pasting refuse to act on such a portion of the document.
+     * 
+     * @param {integer} index - index into the document where the portion
+     *   begins
+     * @param {integer} length - the length of the portion
+     * @returns {boolean} whether the portion crosses a group boundary
+     */
+    crossesBoundary ( index, length ) {
+        return `${this.idsContaining( index )}` != `${this.idsContaining( index + length )}`
+    }
+
+    /**
+     * Event handler for the `cut` and `paste` events in the editor.  If the
+     * current selection crosses a group boundary (see `crossesBoundary()`) or
+     * touches a locked group (see `touchesLocked()`), this prevents the
+     * event's default behavior, so that the selection is neither cut nor
+     * replaced by the pasted content.  Otherwise, for a paste, it notes that a
+     * paste is underway, so that the pasted content will be passed through
+     * `cleanPaste()` when Quill's clipboard module converts it into a Delta.
+     * 
+     * @param {ClipboardEvent} event - the `cut` or `paste` event
+     */
+    checkClipboardEvent ( event ) {
+        const selection = this.quill.getSelection()
+        if ( !selection ) return
+        if ( this.crossesBoundary( selection.index, selection.length )
+          || this.touchesLocked( selection.index, selection.length ) )
+            event.preventDefault()
+        else if ( event.type == 'paste' )
+            this.pasting = true
+    }
+
+    /**
+     * Would a user's edit of the given portion of the document change a
+     * locked group?  A group is locked if its data has the `locked` key set to
+     * true (see `Group.setLocked()`).  The user can move the cursor through a
+     * locked group, and select and copy its contents, but cannot type, delete,
+     * format, cut, or paste inside it, nor delete either of its groupers.
+     * Only the user's input is restricted; edits made through Quill's API,
+     * whatever their source (such as those the application makes with
+     * `Group.replaceContents()`, or undoing and redoing), are not.
+     * 
+     * An empty portion (a cursor) touches a locked group if it is inside it,
+     * where text typed would become part of that group.  A nonempty portion
+     * touches a locked group if it includes any of that group's contents or
+     * either of its groupers.
+     * 
+     * @param {integer} index - index into the document where the portion
+     *   begins
+     * @param {integer} length - the length of the portion
+     * @returns {boolean} whether the portion touches a locked group
+     */
+    touchesLocked ( index, length ) {
+        return this.groupIndex.nodes().some( node =>
+            node.close.value.data && node.close.value.data.locked && (
+                length == 0 ? node.open.index < index && index <= node.close.index
+                            : index <= node.close.index && node.open.index < index + length ) )
+    }
+
+    /**
+     * Event handler for the `beforeinput`, `dragstart`, and `drop` events in
+     * the editor, through which the browser edits the document directly (as
+     * when the user types) rather than asking Quill to do so.  If the edit
+     * would touch a locked group (see `touchesLocked()`), this prevents the
+     * event's default behavior, so that the edit does not happen.  (Browsers
+     * do not let text typed with an input method editor be stopped this way.)
+     * 
+     * @param {Event} event - the `beforeinput`, `dragstart`, or `drop` event
+     */
+    checkInputEvent ( event ) {
+        let range = this.quill.getSelection()
+        if ( event.type == 'drop' ) {
+            const blot = Quill.find( event.target, true )
+            if ( !blot || blot == this.quill.scroll ) return
+            range = { index : this.quill.getIndex( blot ), length : 0 }
+        }
+        if ( !range ) return
+        if ( range.length == 0 && event.inputType == 'deleteContentBackward' )
+            range = { index : range.index - 1, length : 1 }
+        else if ( range.length == 0 && event.inputType == 'deleteContentForward' )
+            range = { index : range.index, length : 1 }
+        if ( this.touchesLocked( range.index, range.length ) )
+            event.preventDefault()
+    }
+
+    /**
+     * Prepare content being pasted into the document, in the form of a Quill
+     * Delta, by fixing its groupers so that the paste cannot damage the
+     * document's group structure.  Copied content may include only one of a
+     * group's groupers (if the copied portion began or ended inside that
+     * group) and may include groups that are still in the document (if it
+     * was copied from this document), so we do the following.
+     * 
+     *  - Each open grouper is paired with the first following close grouper
+     *    having the same id, provided that everything between them is also
+     *    properly paired; such pairs are kept, with their data and nesting.
+     *  - Every other grouper has no partner in the pasted content, and is
+     *    removed.
+     *  - Each pair that is kept gets a fresh id from `generateId()`, so that
+     *    pasting never duplicates the id of a group already in the document.
+     * 
+     * @param {Delta} delta - the content to be pasted, which is not modified
+     * @returns {Delta} the same content, with its groupers fixed as described
+     *   above
+     */
+    cleanPaste ( delta ) {
+        const ops = delta.ops
+        const newIds = new Map() // maps indices of paired groupers to fresh ids
+        const stack = [ ]
+        ops.forEach( ( op, i ) => {
+            const grouper = op.insert && op.insert.grouper
+            if ( !grouper ) return
+            if ( grouper.open ) {
+                stack.push( i )
+            } else if ( stack.length > 0
+                     && ops[stack[stack.length - 1]].insert.grouper.id == grouper.id ) {
+                const id = this.generateId()
+                newIds.set( stack.pop(), id )
+                newIds.set( i, id )
+            }
+        } )
+        const result = new Delta()
+        ops.forEach( ( op, i ) => {
+            const grouper = op.insert && op.insert.grouper
+            if ( !grouper )
+                result.push( op )
+            else if ( newIds.has( i ) )
+                result.insert( { grouper : { ...grouper, id : newIds.get( i ) } }, op.attributes )
+        } )
+        return result
     }
 
     /**
@@ -194,20 +1049,177 @@ class GroupsModule extends Module {
      * remain the interior of the new group, which actually means taht its start
      * index will have increased by 1.
      * 
+     * The new group can be given data (see `Group.set()`), including its type
+     * (see `defineType()`).  If the new group would break the rules for types,
+     * either because of its own type or because of the groups it would end up
+     * inside, around, or next to, then what happens depends on this module's
+     * `typeViolations` option.  If it is `'reject'`, the selection is not
+     * wrapped.  If it is `'warn'` (the default), the selection is wrapped
+     * anyway.  In both of those cases, the problems are reported with
+     * `console.warn()`.  If it is `'allow'`, the rules are not checked.
+     * 
+     * Unless the source is `Quill.sources.API`, the selection is not wrapped
+     * if it touches a locked group (see `touchesLocked()`), because the user
+     * may not edit locked groups.
+     * 
      * @param {string} source - a Quill source (e.g., `Quill.sources.USER`),
      *   meaning the source of the action that led to this edit
+     * @param {Object} [data] - the data for the new group, if any
+     * @returns {Group} the new group, or undefined if the selection was not
+     *   wrapped
      */
-    wrapSelection ( source=Quill.sources.USER ) {
+    wrapSelection ( source=Quill.sources.USER, data ) {
         const selection = this.quill.getSelection()
         if ( !selection ) return
         const start = selection.index
         const length = selection.length
-        if ( `${this.idsContaining(start)}` != `${this.idsContaining(start+length)}` ) return
-        const id = this.nextAvailableId()
+        if ( this.crossesBoundary( start, length ) ) return
+        if ( source != Quill.sources.API && this.touchesLocked( start, length ) ) return
+        if ( this.options.typeViolations != 'allow' ) {
+            const problems = this.wrappingViolations( start, length, data || { } )
+            if ( problems.length > 0 ) {
+                const rejected = this.options.typeViolations == 'reject'
+                console.warn( ( rejected ? 'Not wrapping selection because of type rules: '
+                                         : 'Wrapping selection despite type rules: ' )
+                            + problems.map( p => p.message ).join( ' ' ) )
+                if ( rejected ) return
+            }
+        }
+        const id = this.generateId()
+        const close = { id, open : false }
+        if ( data && Object.keys( data ).length > 0 ) close.data = data
         // More info on next two lines: https://quilljs.com/docs/api/#insertembed
-        this.quill.insertEmbed( start, 'grouper', { id : -id }, source )
-        this.quill.insertEmbed( start + 1 + length, 'grouper', { id : id }, source )
+        this.quill.insertEmbed( start, 'grouper', { id, open : true }, source )
+        this.quill.insertEmbed( start + 1 + length, 'grouper', close, source )
         this.quill.setSelection( start + 1, length )
+        return this.groupWithId( id )
+    }
+
+    /**
+     * Define a type of group, with rules about where groups of that type may
+     * appear.  A group's type is the `type` field of its data (see
+     * `Group.type()`).  The rules are an object with any of these attributes,
+     * each of which is optional, and omitting one means no restriction.
+     * 
+     *  - `parents` - an array of the types of groups that may directly contain
+     *    groups of this type, including null to permit being outside any group
+     *    and including undefined to permit being inside an untyped group
+     *  - `children` - an array of the types of groups that groups of this type
+     *    may directly contain (with undefined meaning untyped groups)
+     *  - `after` - an array of the types of groups that must come immediately
+     *    before groups of this type, as their previous sibling (with null
+     *    meaning that a group of this type may have no previous sibling), such
+     *    as `[ 'theorem' ]` for proofs
+     *  - `required` - an array of keys that must be present in the data of
+     *    groups of this type
+     * 
+     * Types can also be defined in this module's `types` option, which maps
+     * type names to rules objects.
+     * 
+     * @param {string} name - the name of the type
+     * @param {Object} rules - the rules for the type, as described above, or
+     *   null to remove the type
+     */
+    defineType ( name, rules ) {
+        if ( rules ) this.types.set( name, rules )
+        else this.types.delete( name )
+    }
+
+    /**
+     * Find all groups in the document that break the rules for their types
+     * (see `defineType()`).  Each violation is reported as an object with the
+     * following attributes.
+     * 
+     *  - `problem` - one of `'unknown-type'` (the group's type was never
+     *    defined), `'placement'` (the group may not be directly inside its
+     *    parent, by the rules for its own type or for its parent's type),
+     *    `'order'` (the group may not follow its previous sibling), or
+     *    `'missing-data'` (the group's data lacks a required key)
+     *  - `ids` - an array containing the id of the group with the problem
+     *  - `type` - that group's type
+     *  - `message` - a description of the problem, suitable for showing users
+     * 
+     * @returns {Array} an array of violations, as described above, in the
+     *   order that the groups appear in the document
+     */
+    violations () {
+        const typeOf = node => node && node.close.value.data ?
+            node.close.value.data.type : undefined
+        const result = [ ]
+        this.groupIndex.nodes().forEach( node => {
+            const siblings = node.parent ? node.parent.children : this.groupIndex.topLevel()
+            const previous = siblings[siblings.indexOf( node ) - 1]
+            result.push( ...this.typeViolations( node.id, node.close.value.data || { },
+                node.parent ? typeOf( node.parent ) : null,
+                previous ? typeOf( previous ) : null ) )
+        } )
+        return result
+    }
+
+    // Utility used by violations() and wrappingViolations(): the violations
+    // (as documented in violations()) of the group with the given id and data,
+    // if its parent and previous sibling had the given types (with null
+    // meaning that there is no parent or previous sibling)
+    typeViolations ( id, data, parentType, previousType ) {
+        const type = data.type
+        const result = [ ]
+        const report = ( problem, message ) => result.push( { problem, ids : [ id ], type,
+            message : message[0].toUpperCase() + message.substring( 1 ) + '.' } )
+        const name = type => type === undefined ? 'an untyped group' :
+                             type === null ? 'nothing' :
+                             /^[aeiou]/i.test( type ) ? `an ${type}` : `a ${type}`
+        const rules = this.types.get( type )
+        if ( type !== undefined && !rules )
+            report( 'unknown-type', `there is no group type ${type}` )
+        const parentRules = this.types.get( parentType )
+        if ( ( rules && rules.parents && !rules.parents.includes( parentType ) )
+          || ( parentRules && parentRules.children && !parentRules.children.includes( type ) ) )
+            report( 'placement', `${name( type )} cannot be inside ${name( parentType )}` )
+        if ( rules && rules.after && !rules.after.includes( previousType ) )
+            report( 'order', `${name( type )} cannot come after ${name( previousType )}` )
+        if ( rules && rules.required ) {
+            const missing = rules.required.filter( key => !data.hasOwnProperty( key ) )
+            if ( missing.length > 0 )
+                report( 'missing-data', `${name( type )} needs ${missing.join( ', ' )}` )
+        }
+        return result
+    }
+
+    // Utility used by wrapSelection(): the violations (as documented in
+    // violations()) that wrapping the given range of the document in a new
+    // group with the given data would cause, either in the new group itself or
+    // in the groups whose parent or previous sibling it would become, omitting
+    // any that those groups already have
+    wrappingViolations ( start, length, data ) {
+        const typeOf = node => node ? node.close.value.data ?
+            node.close.value.data.type : undefined : null
+        const end = start + length
+        const parent = this.groupIndex.containing( start ).pop()
+        const parentType = parent ? typeOf( parent ) : null
+        const siblings = parent ? parent.children : this.groupIndex.topLevel()
+        const before = siblings.filter( node => node.close.index < start )
+        const inside = siblings.filter( node => start <= node.open.index && node.close.index < end )
+        const after = siblings.find( node => node.open.index >= end )
+        const previous = before[before.length - 1]
+        // the violations of the groups the wrap would affect, as they are now
+        // and as they would be with the new group in place
+        const now = [ ], then = this.typeViolations( null, data, parentType, typeOf( previous ) )
+        inside.forEach( ( node, index ) => {
+            const nodeData = node.close.value.data || { }
+            now.push( ...this.typeViolations( node.id, nodeData, parentType,
+                typeOf( index > 0 ? inside[index - 1] : previous ) ) )
+            then.push( ...this.typeViolations( node.id, nodeData, data.type,
+                typeOf( inside[index - 1] ) ) )
+        } )
+        if ( after ) {
+            const afterData = after.close.value.data || { }
+            now.push( ...this.typeViolations( after.id, afterData, parentType,
+                typeOf( inside.length > 0 ? inside[inside.length - 1] : previous ) ) )
+            then.push( ...this.typeViolations( after.id, afterData, parentType, data.type ) )
+        }
+        const key = violation => `${violation.ids[0]} ${violation.message}`
+        const existing = new Set( now.map( key ) )
+        return then.filter( violation => !existing.has( key( violation ) ) )
     }
 
     /**
@@ -219,9 +1231,8 @@ class GroupsModule extends Module {
      *   if there is none
      */
     groupAround ( index ) {
-        const openIds = this.idsContaining( index )
-        if ( openIds.length > 0 )
-            return this.groupWithId( openIds[openIds.length - 1] )
+        const node = this.groupIndex.containing( index ).pop()
+        if ( node ) return this.groupFromNode( node )
     }
 
     /**
@@ -233,8 +1244,8 @@ class GroupsModule extends Module {
      *   given index, or undefined if there is none
      */
     groupBefore ( index ) {
-        const close = this.findLast( ( g, i ) => g.isClose() && i < index )
-        if ( close ) return close.group()
+        const node = this.groupIndex.before( index )
+        if ( node ) return this.groupFromNode( node )
     }
 
     /**
@@ -246,33 +1257,1042 @@ class GroupsModule extends Module {
      *   given index, or undefined if there is none
      */
     groupAtOrAfter ( index ) {
-        const open = this.find( ( g, i ) => g.isOpen() && i >= index )
-        if ( open ) return open.group()
+        const node = this.groupIndex.atOrAfter( index )
+        if ( node ) return this.groupFromNode( node )
+    }
+
+    /**
+     * What is the innermost group containing all of the given range of the
+     * document?  For an empty range (just a cursor), this is the same as
+     * `groupAround()`.
+     * 
+     * @param {Object} range - a Quill selection range, with `index` and
+     *   `length` members
+     * @returns {Group} the innermost group around the given range, or
+     *   undefined if there is none
+     */
+    groupAroundRange ( range ) {
+        return this.groupIndex.containing( range.index ).filter(
+            node => range.index + range.length <= node.close.index
+        ).map( node => this.groupFromNode( node ) ).pop()
+    }
+
+    /**
+     * Perform one of the editing commands that this module binds to keys (by
+     * default; see below).  Each acts on the innermost group around the given
+     * range (see `groupAroundRange()`), here called the current group.  The
+     * commands are:
+     * 
+     *  - `'wrap'`: wrap the range in a new group (see `wrapSelection()`)
+     *  - `'selectContents'`: select everything between the current group's
+     *    groupers, or if that is already selected, the contents of its parent
+     *  - `'parent'`, `'next'`, `'previous'`, `'firstChild'`: move the cursor to
+     *    the start of the contents of the group in that relation to the current
+     *    group (see the Group methods of the same names)
+     *  - `'start'`, `'end'`: move the cursor to the start or end of the
+     *    contents of the current group
+     * 
+     * The `keys` option of this module maps each command name to the Quill
+     * key binding that runs it (e.g., `{ key : 'G', shortKey : true }`), or to
+     * null for no binding.  Because Quill combines that option with the
+     * defaults, to remove a default modifier from a binding, set it to false.
+     * 
+     * @param {string} name - the name of the command, one of those above
+     * @param {Object} [range] - the range on which to act, which defaults to
+     *   the editor's selection
+     * @returns {boolean} whether there was anything on which the command could
+     *   act (e.g., it returns false when jumping to the next group if there is
+     *   no current group, but true if there is one without a next sibling)
+     */
+    runCommand ( name, range = this.quill.getSelection() ) {
+        if ( !range ) return false
+        if ( name == 'wrap' ) {
+            // the user may not wrap anything in a locked group
+            if ( this.touchesLocked( range.index, range.length ) ) return true
+            this.quill.setSelection( range, Quill.sources.SILENT )
+            this.wrapSelection( Quill.sources.USER )
+            return true
+        }
+        const current = this.groupAroundRange( range )
+        if ( !current ) return false
+        const select = ( group, start, end ) => {
+            if ( !group ) return
+            const indices = group.indices()
+            const from = start ? indices.afterOpen : indices.beforeClose
+            const to = end ? indices.beforeClose : from
+            this.quill.setSelection( from, to - from, Quill.sources.USER )
+        }
+        const contents = current.indices()
+        const selected = range.index == contents.afterOpen
+                      && range.index + range.length == contents.beforeClose
+        switch ( name ) {
+            case 'selectContents':
+                select( selected ? current.parent() : current, true, true )
+                break
+            case 'parent': select( current.parent(), true ); break
+            case 'next': select( current.next(), true ); break
+            case 'previous': select( current.previous(), true ); break
+            case 'firstChild': select( current.firstChild(), true ); break
+            case 'start': select( current, true ); break
+            case 'end': select( current, false ); break
+            default: throw new Error( `Not a group command: ${name}` )
+        }
+        return true
+    }
+
+    /**
+     * Represent the entire document as a hierarchy of groups, in JSON form.
+     * This is suitable for sending the document to some other piece of
+     * software that needs to know its group structure, without needing to know
+     * anything about Quill.
+     * 
+     * The result is an array of nodes, each of which has one of three forms:
+     * 
+     *  - `{ text, attributes }` - a run of text, with the same (optional)
+     *    attributes object that a Quill Delta would give it
+     *  - `{ embed, attributes }` - an embed other than a grouper, such as a
+     *    formula, where `embed` is the object that a Quill Delta would insert
+     *    (e.g., `{ formula : 'x^2' }`) and the attributes are optional
+     *  - `{ id, data, children }` - a group, with its id, the data
+     *    stored in it (see `Group.set()`), and an array of its child nodes,
+     *    each of which has one of these three forms
+     * 
+     * See `fromJSON()` for the inverse operation.
+     * 
+     * @returns {Array} the document as a list of nodes, as described above
+     */
+    toJSON () {
+        const result = [ ]
+        const stack = [ result ]
+        this.quill.getContents().forEach( op => {
+            const inner = stack[stack.length - 1]
+            if ( typeof op.insert == 'string' ) {
+                inner.push( op.attributes ? { text : op.insert, attributes : op.attributes }
+                                          : { text : op.insert } )
+            } else if ( !op.insert.hasOwnProperty( 'grouper' ) ) {
+                inner.push( op.attributes ? { embed : op.insert, attributes : op.attributes }
+                                          : { embed : op.insert } )
+            } else if ( op.insert.grouper.open ) {
+                const group = { id : op.insert.grouper.id, data : { }, children : [ ] }
+                inner.push( group )
+                stack.push( group.children )
+            } else if ( stack.length > 1 ) {
+                stack.pop()
+                const group = stack[stack.length - 1].slice( -1 )[0]
+                group.data = op.insert.grouper.data || { }
+            }
+        } )
+        return result
     }
 
     /**
-     * Draw outlines of groups in reaction to the most recent mouse position,
-     * using the given canvas context.  This is an appropriate event handler for
-     * the `draw()` event of the overlay module.
+     * Convert a hierarchy of groups, in the JSON form produced by `toJSON()`,
+     * into a Quill Delta that would insert that content, groupers included.
+     * This is used by `fromJSON()`, but is also useful on its own if you want
+     * to insert JSON content somewhere other than as the whole document.
+     * 
+     * @param {Array} json - a list of nodes, in the format documented in
+     *   `toJSON()`
+     * @returns {Delta} a Quill Delta that inserts the given content
+     */
+    jsonToDelta ( json ) {
+        const result = new Delta()
+        json.forEach( node => {
+            if ( node.hasOwnProperty( 'text' ) ) {
+                result.insert( node.text, node.attributes )
+            } else if ( node.hasOwnProperty( 'embed' ) ) {
+                result.insert( node.embed, node.attributes )
+            } else {
+                result.insert( { grouper : { id : node.id, open : true } } )
+                this.jsonToDelta( node.children || [ ] ).forEach(
+                    op => result.push( op ) )
+                result.insert( { grouper : { id : node.id, open : false, data : node.data } } )
+            }
+        } )
+        return result
+    }
+
+    /**
+     * Replace the entire contents of the document with the given hierarchy of
+     * groups, in the JSON form produced by `toJSON()`.  Groups keep the ids
+     * and data given in the JSON, so that `fromJSON( toJSON() )` rebuilds the
+     * same grouped document.
+     * 
+     * @param {Array} json - a list of nodes, in the format documented in
+     *   `toJSON()`
+     * @param {string} source - a Quill source (e.g., `Quill.sources.API`),
+     *   meaning the source of the action that led to this edit
+     */
+    fromJSON ( json, source=Quill.sources.API ) {
+        this.quill.setContents( this.jsonToDelta( json ), source )
+    }
+
+    /**
+     * Define a template, a structure of text and groups that users can insert
+     * into the document with one action, such as a theorem followed by its
+     * proof.  Templates appear in a toolbar menu, under their names, and can
+     * also be inserted by calling `insertTemplate()`.  They can also be
+     * defined in this module's `templates` option, which maps names to
+     * templates.
+     * 
+     * A template is an array of nodes in the same form that `toJSON()`
+     * produces, except that groups need not have ids (because each insertion
+     * of the template generates new ones), and there is one additional kind of
+     * node, a placeholder, of the form `{ placeholder : 'text' }`, which may
+     * also have an `attributes` member.  A placeholder is inserted as its text,
+     * which the user is expected to replace.  For example:
+     * ```
+     * [
+     *     { data : { type : 'theorem' }, children : [
+     *         { text : 'Theorem: ', attributes : { bold : true } },
+     *         { placeholder : 'statement' }
+     *     ] },
+     *     { text : '\n' },
+     *     { data : { type : 'proof' }, children : [
+     *         { text : 'Proof: ', attributes : { italic : true } },
+     *         { placeholder : 'argument' }
+     *     ] }
+     * ]
+     * ```
+     * 
+     * @param {string} name - the name of the template
+     * @param {Array} template - the template, as described above
+     */
+    defineTemplate ( name, template ) {
+        if ( !this.templates.has( name ) ) {
+            const option = this.templateMenu.ownerDocument.createElement( 'option' )
+            option.value = option.textContent = name
+            this.templateMenu.appendChild( option )
+        }
+        this.templates.set( name, template )
+    }
+
+    /**
+     * Insert the template with the given name (see `defineTemplate()`) in
+     * place of the current selection, giving each of its groups a new id.  The
+     * first of its placeholders becomes the selection, so that the user can
+     * type over it, and then press Tab (or Shift+Tab) to select the next (or
+     * previous) placeholder in the template.  If it has no placeholders, the
+     * cursor goes after it.  Nothing is inserted if the selection crosses a
+     * group boundary.  The placeholders are forgotten, so that Tab resumes its
+     * usual behavior, once the cursor leaves the template or every
+     * placeholder's text has been deleted.
+     * 
+     * @param {string|Array} name - the name of the template to insert, or the
+     *   template itself, if it was never given a name with `defineTemplate()`
+     * @param {string} source - a Quill source (e.g., `Quill.sources.USER`),
+     *   meaning the source of the action that led to this edit
+     */
+    insertTemplate ( name, source=Quill.sources.USER ) {
+        const template = name instanceof Array ? name : this.templates.get( name )
+        if ( !template ) return
+        const selection = this.quill.getSelection( true )
+        if ( this.crossesBoundary( selection.index, selection.length ) ) return
+        const { delta, placeholders } = this.templateToDelta( template )
+        this.quill.updateContents( new Delta().retain( selection.index )
+            .delete( selection.length ).concat( delta ), source )
+        this.placeholders = placeholders.map( placeholder => ( {
+            index : selection.index + placeholder.index,
+            length : placeholder.length
+        } ) )
+        this.templateSpan = { index : selection.index, length : delta.length() }
+        if ( this.placeholders.length > 0 )
+            this.quill.setSelection( this.placeholders[0], Quill.sources.USER )
+        else
+            this.quill.setSelection( selection.index + delta.length(), 0, Quill.sources.USER )
+    }
+
+    /**
+     * Convert a template (as documented in `defineTemplate()`) into a Delta
+     * that inserts it, with new ids for all of its groups.
+     * 
+     * @param {Array} template - the template to convert
+     * @returns {Object} an object with two members, `delta`, the Delta that
+     *   inserts the template, and `placeholders`, an array of the ranges in
+     *   that Delta (objects with `index` and `length` members) occupied by the
+     *   template's placeholders
+     */
+    templateToDelta ( template ) {
+        const delta = new Delta()
+        const placeholders = [ ]
+        const build = nodes => nodes.forEach( node => {
+            if ( node.hasOwnProperty( 'placeholder' ) ) {
+                placeholders.push( { index : delta.length(), length : node.placeholder.length } )
+                delta.insert( node.placeholder, node.attributes )
+            } else if ( node.hasOwnProperty( 'text' ) || node.hasOwnProperty( 'embed' ) ) {
+                this.jsonToDelta( [ node ] ).forEach( op => delta.push( op ) )
+            } else {
+                const id = this.generateId()
+                const close = { id, open : false }
+                if ( node.data && Object.keys( node.data ).length > 0 )
+                    close.data = JSON.parse( JSON.stringify( node.data ) )
+                delta.insert( { grouper : { id, open : true } } )
+                build( node.children || [ ] )
+                delta.insert( { grouper : close } )
+            }
+        } )
+        build( template )
+        return { delta, placeholders }
+    }
+
+    /**
+     * Used internally to keep the ranges of the placeholders of the most
+     * recently inserted template up to date as the document changes.  Text
+     * typed at the start or end of a placeholder becomes part of it, so that
+     * when the user types over a placeholder, the range becomes what they
+     * typed.  Placeholders whose text is entirely deleted become empty, but
+     * remain places to which Tab can move the cursor, until all of them are
+     * empty or the template itself is deleted (as when its insertion is
+     * undone), at which point they are forgotten.
+     * 
+     * @param {Delta} delta - the change made to the document
+     */
+    updatePlaceholders ( delta ) {
+        if ( !this.templateSpan ) return
+        const transform = range => {
+            const start = delta.transformPosition( range.index, true )
+            const end = delta.transformPosition( range.index + range.length )
+            return { index : start, length : Math.max( 0, end - start ) }
+        }
+        this.placeholders = this.placeholders.map( transform )
+        this.templateSpan = transform( this.templateSpan )
+        if ( this.templateSpan.length == 0
+          || this.placeholders.every( placeholder => placeholder.length == 0 ) )
+            this.forgetPlaceholders()
+    }
+
+    /**
+     * Used internally to forget the placeholders of the most recently inserted
+     * template when the selection moves outside of that template, so that Tab
+     * and Shift+Tab elsewhere in the document behave as usual, rather than
+     * jumping back into it.  Losing the focus does not count as leaving.
+     * 
+     * @param {Object} range - the new selection, with `index` and `length`
+     *   members
+     */
+    leavePlaceholders ( range ) {
+        const span = this.templateSpan
+        if ( span && ( range.index < span.index
+                    || range.index + range.length > span.index + span.length ) )
+            this.forgetPlaceholders()
+    }
+
+    // Utility used by updatePlaceholders(), leavePlaceholders(), and
+    // nextPlaceholder(): forget the most recently inserted template.
+    forgetPlaceholders () {
+        this.placeholders = [ ]
+        this.templateSpan = null
+    }
+
+    /**
+     * Used internally as the handler for Tab and Shift+Tab, which select the
+     * next or previous placeholder of the most recently inserted template (see
+     * `insertTemplate()`), relative to the cursor.  Pressing Tab after the
+     * last placeholder moves the cursor past it and forgets the placeholders,
+     * so that Tab resumes its usual behavior.
+     * 
+     * @param {boolean} forward - true for Tab, false for Shift+Tab
+     * @returns {boolean} false if this handled the key, true if Quill should
+     *   handle it as usual (as Quill expects of keyboard handlers)
+     */
+    nextPlaceholder ( forward ) {
+        const selection = this.quill.getSelection()
+        if ( !selection || this.placeholders.length == 0 ) return true
+        const target = forward ?
+            this.placeholders.find( p => p.index > selection.index ) :
+            this.placeholders.filter( p => p.index < selection.index ).pop()
+        if ( target ) {
+            this.quill.setSelection( target, Quill.sources.USER )
+        } else if ( forward ) {
+            const last = this.placeholders[this.placeholders.length - 1]
+            this.forgetPlaceholders()
+            this.quill.setSelection( Math.max( selection.index + selection.length,
+                last.index + last.length ), 0, Quill.sources.USER )
+        }
+        return false
+    }
+
+    /**
+     * The region on screen occupied by the group with the given id, as
+     * computed by `Group.region()`, but cached, because computing regions
+     * requires measuring the layout of the document, and `drawHover()` needs
+     * the regions of all groups every time the mouse moves.  The cache is
+     * cleared whenever the document changes, and whenever the editor's
+     * contents scroll or its size changes.
+     * 
+     * @param {string|integer} id - the id of the group whose region is needed
+     * @returns {Region} the region on screen that group fills, or undefined if
+     *   there is no group with that id
+     */
+    regionOf ( id ) {
+        const editor = this.quill.scroll.domNode
+        const layout = `${editor.scrollTop},${editor.scrollLeft},`
+                     + `${editor.clientWidth},${editor.clientHeight}`
+        if ( layout != this.regionsLayout ) {
+            this.regions.clear()
+            this.regionsLayout = layout
+        }
+        if ( !this.regions.has( id ) ) {
+            const group = this.groupWithId( id )
+            if ( !group ) return
+            this.regions.set( id, group.region() )
+        }
+        return this.regions.get( id )
+    }
+
+    /**
+     * Groups made of whole paragraphs (see `Group.isWholeParagraphs()`) are
+     * drawn not as outlines around their text, but as thick vertical bars in
+     * the editor's left gutter, beside the paragraphs.  Such groups nested
+     * inside one another are drawn as parallel bars, each inner one indented
+     * further to the right than the one around it.  This function computes
+     * the rectangle for the bar of the group with the given id.
+     * 
+     * The bars' width and the distance between the left edges of consecutive
+     * bars are given by the `barWidth` and `barSpacing` options of this
+     * module.  The outermost bars are one pixel from the editor's left edge,
+     * and so the editor's left padding should be wide enough for as many bars
+     * as groups of paragraphs are nested.
+     * 
+     * @param {string|integer} id - the id of the group whose bar is needed
+     * @returns {ScreenRect} the bar's rectangle, in the same coordinates as
+     *   the group's region (see `regionOf()`), or null if the group is not
+     *   made of whole paragraphs (or is not in the document)
+     */
+    barOf ( id ) {
+        const node = this.groupIndex.get( id )
+        if ( !node || !this.isParagraphGroup( node ) ) return null
+        let depth = 0
+        for ( let ancestor = node.parent ; ancestor ; ancestor = ancestor.parent )
+            if ( this.isParagraphGroup( ancestor ) ) depth++
+        const region = this.regionOf( id )
+        const left = 1 + depth * this.options.barSpacing
+        return new ScreenRect( left, region.bounds.top,
+            left + this.options.barWidth, region.bounds.bottom )
+    }
+
+    // Utility used by barOf(): whether the group with the given node in the
+    // index is made of whole paragraphs, cached until the document changes
+    isParagraphGroup ( node ) {
+        if ( !this.paragraphGroups.has( node.id ) )
+            this.paragraphGroups.set( node.id,
+                this.groupFromNode( node ).isWholeParagraphs() )
+        return this.paragraphGroups.get( node.id )
+    }
+
+    /**
+     * The style of the group with the given id, which determines how the group
+     * is drawn.  A style is an object with any of the following attributes.
+     * 
+     *  - `grouperHTML` - a function that receives a group's id and whether a
+     *    grouper is its open grouper, and returns the HTML for that grouper
+     *    (see `Grouper.setHTML()`), or null to leave groupers as they are
+     *    (which is invisible, unless `Grouper.idToHTML` says otherwise)
+     *  - `outline` - how to draw the group at all times
+     *  - `hover` - what to draw in addition when the mouse is over the group
+     *  - `cursor` - what to draw in addition when the cursor is inside the
+     *    group (and not inside any group within it)
+     * 
+     * Each of the last three is an object whose attributes are colors (in any
+     * form that a canvas context accepts), or null to draw nothing:
+     * `stroke` (for the outline of the group's region), `fill` (for its
+     * interior), `corners` (for the triangles in its corners; see
+     * `Region.drawCorners()`), and `bar` (for groups drawn as bars; see
+     * `barOf()`).  They may also have a `lineWidth` attribute, in pixels, for
+     * the stroke.
+     * 
+     * A group's style combines, in increasing order of precedence, the
+     * default style given by this module's `style` option, the style for the
+     * group's type (the `type` field of its data, if any; see `setTypeStyle()`
+     * and this module's `styles` option), and the group's own style (see
+     * `setStyle()`).  Each state (outline, hover, cursor) combines separately,
+     * so that, for instance, a type's style can change just the hover stroke.
+     * 
+     * @param {string|integer} id - the id of the group
+     * @returns {Object} the group's style, as described above
+     */
+    styleOf ( id ) {
+        const node = this.groupIndex.get( id )
+        const data = node ? node.close.value.data : null
+        const type = data ? data.type : undefined
+        return mergeStyles( this.options.style,
+            this.typeStyles.get( type ), this.groupStyles.get( id ) )
+    }
+
+    /**
+     * Set the style for all groups of the given type, that is, all groups
+     * whose data has a `type` field with the given value.  See `styleOf()`
+     * for the meaning of the style.  This is the same as providing that style
+     * in this module's `styles` option, under the type's name.
+     * 
+     * @param {string} type - the type of groups to style
+     * @param {Object} style - the style for those groups, or null to remove
+     *   the style for the type
+     */
+    setTypeStyle ( type, style ) {
+        if ( style ) this.typeStyles.set( type, style )
+        else this.typeStyles.delete( type )
+        this.styleChanged()
+    }
+
+    /**
+     * Set the style for just the group with the given id.  See `styleOf()`
+     * for the meaning of the style.  Like tooltips, styles belong to groups,
+     * and so reapply if the group leaves the document and later returns.
+     * 
+     * @param {string|integer} id - the id of the group to style
+     * @param {Object} style - the style for that group, or null to remove it
+     */
+    setStyle ( id, style ) {
+        if ( style ) this.groupStyles.set( id, style )
+        else this.groupStyles.delete( id )
+        this.styleChanged()
+    }
+
+    // Utility used by setTypeStyle() and setStyle(): show the new style, both
+    // in the groupers' HTML and on the overlay layers, which otherwise would
+    // not redraw until some unrelated event invalidated them.
+    styleChanged () {
+        this.applyGrouperHTML()
+        const overlayModule = this.quill.getModule( 'overlay' )
+        if ( overlayModule ) {
+            overlayModule.invalidate( 'groups' )
+            overlayModule.invalidate( 'groups-hover' )
+        }
+    }
+
+    /**
+     * Give every grouper in the document the HTML that its group's style
+     * specifies (see `styleOf()`), if that differs from its current HTML.
+     * Groupers whose group's style does not specify any are left unchanged.
+     * This is called after each change to the document and each change to a
+     * style, so that new groupers get the right appearance.
+     */
+    applyGrouperHTML () {
+        const specified = style => style && style.grouperHTML
+        if ( !specified( this.options.style )
+          && ![ ...this.typeStyles.values() ].some( specified )
+          && ![ ...this.groupStyles.values() ].some( specified ) ) return
+        this.groupIndex.nodes().forEach( node => {
+            const style = this.styleOf( node.id )
+            if ( !style.grouperHTML ) return
+            [ node.open, node.close ].forEach( entry => {
+                const grouper = this.quill.getLeaf( entry.index + 1 )[0]
+                const html = style.grouperHTML( node.id, entry.value.open )
+                if ( grouper.getHTML() != html ) grouper.setHTML( html )
+            } )
+        } )
+    }
+
+    /**
+     * Attach a tooltip to the group with the given id, containing the given
+     * HTML, or remove that group's tooltip by passing null.  The tooltip floats
+     * over the editor and stays beside the group's region (see `regionOf()`)
+     * as the text reflows.  For a group spanning several lines, it sits above
+     * the first line or below the last, as appropriate.  (See the Tooltip
+     * class for details.)
+     * 
+     * When the tooltip is shown depends on the `show` option, which can be
+     * `'hover'` (show the tooltip while the mouse is over the group),
+     * `'cursor'` (show it while the cursor is inside the group), or `'always'`
+     * (show it whenever the group is in the document).  It defaults to the
+     * `showTooltips` option given to this module, which defaults to
+     * `'hover'`.  Tooltips for groups not in the document are hidden, but are
+     * kept, so that they reappear if the group does (e.g., by undoing).
+     * 
+     * The options may also include `side` (the preferred side of the group on
+     * which to show the tooltip, as in `Tooltip.track()`, default `'above'`),
+     * `arrow` (the corner for the tooltip's arrow, as in
+     * `Tooltip.setArrow()`, default `'bottom-left'`, or null for none), and
+     * any options accepted by the Tooltip constructor.
+     * 
+     * @param {string|integer} id - the id of the group
+     * @param {string} html - the contents of the tooltip, or null to remove it
+     * @param {Object} [options] - options for the tooltip, as described above
+     * @returns {Tooltip} the new tooltip, or undefined if it was removed
+     */
+    setTooltip ( id, html, options = { } ) {
+        const old = this.tooltips.get( id )
+        if ( old ) {
+            old.tooltip.destroy()
+            this.tooltips.delete( id )
+        }
+        if ( html === null || html === undefined ) return
+        const { show, side, arrow, ...tooltipOptions } = options
+        const tooltip = new Tooltip( this.quill.scroll.domNode, tooltipOptions )
+        tooltip.setHTML( html )
+        tooltip.setArrow( arrow === undefined ? 'bottom-left' : arrow )
+        this.tooltips.set( id, {
+            tooltip,
+            show : show || this.options.showTooltips,
+            side : side || 'above'
+        } )
+        this.updateTooltips()
+        return tooltip
+    }
+
+    /**
+     * The tooltip attached to the group with the given id by `setTooltip()`,
+     * if any.
+     * 
+     * @param {string|integer} id - the id of the group
+     * @returns {Tooltip} the tooltip, or undefined if the group has none
+     */
+    tooltipOf ( id ) {
+        const entry = this.tooltips.get( id )
+        if ( entry ) return entry.tooltip
+    }
+
+    /**
+     * Find the innermost group under the given point on screen.  A group is
+     * under the point if its region (see `regionOf()`) contains the point, or
+     * if it is drawn as a bar (see `barOf()`) and the bar contains the point.
+     * If several groups are under the point, the one whose open grouper comes
+     * last in the document is the innermost.
+     * 
+     * @param {ScreenPoint} point - a point in viewport coordinates, such as
+     *   the position of a mouse event
+     * @returns {Group} the innermost group under the point, or undefined if
+     *   there is none
+     */
+    groupAtPoint ( point ) {
+        const relative = point.relativeTo( this.quill.container )
+        const node = this.groupIndex.nodes().filter( node => {
+            const bar = this.barOf( node.id )
+            return this.regionOf( node.id ).contains( relative )
+                || !!bar && bar.contains( relative )
+        } ).pop()
+        if ( node ) return this.groupFromNode( node )
+    }
+
+    /**
+     * Find the index in the document of the position under the given point
+     * on screen, that is, where clicking there would put the cursor.
+     * 
+     * @param {ScreenPoint} point - a point in viewport coordinates, such as
+     *   the position of a mouse event
+     * @returns {integer} the index in the document, or undefined if the point
+     *   is not over the document's contents
+     */
+    indexAtPoint ( point ) {
+        const document = this.quill.root.ownerDocument
+        let node, offset
+        if ( document.caretPositionFromPoint ) {
+            const position = document.caretPositionFromPoint( point.x, point.y )
+            if ( !position ) return
+            node = position.offsetNode
+            offset = position.offset
+        } else if ( document.caretRangeFromPoint ) {
+            const range = document.caretRangeFromPoint( point.x, point.y )
+            if ( !range ) return
+            node = range.startContainer
+            offset = range.startOffset
+        }
+        if ( !node || !this.quill.root.contains( node ) ) return
+        // an offset into text counts characters, but an offset into an element
+        // counts its children, so in that case we use the child at the offset
+        // (or the end of the last child, if the offset is past them all)
+        let atEnd = false
+        if ( node.nodeType != Node.TEXT_NODE ) {
+            atEnd = offset >= node.childNodes.length && !!node.lastChild
+            node = atEnd ? node.lastChild : node.childNodes[offset] || node
+            offset = 0
+        }
+        const blot = Quill.find( node, true )
+        if ( !blot || blot == this.quill.scroll ) return
+        const index = this.quill.getIndex( blot )
+        if ( atEnd ) return index + blot.length()
+        return index + ( blot.domNode == node ? offset : 0 )
+    }
+
+    /**
+     * Add an action to the context menu that appears when the user
+     * right-clicks a group, or replace the action with the same name, if there
+     * is one.  By default, the menu has actions named `'unwrap'`,
+     * `'selectContents'`, `'editData'`, `'changeType'`, and `'copyJSON'`,
+     * unless this module's `contextMenu` option is false, in which case the
+     * menu is not shown at all.  Other modules can add actions, and can remove
+     * any action with `removeContextMenuAction()`.
+     * 
+     * The group on which the actions act is the innermost group around the
+     * position the user right-clicked (see `groupAround()`).  An action is an
+     * object with these members, of which only `name` and `label` are
+     * required.  Each function receives that group as its argument.
+     * 
+     *  - `name` - a string identifying the action
+     *  - `label` - the text of the action in the menu
+     *  - `predicate` - a function returning whether the action can be done to
+     *    the group; if not, it appears in the menu disabled
+     *  - `visible` - a function returning whether the action should appear in
+     *    the menu at all for the group
+     *  - `run` - the function to call when the user chooses the action
+     *  - `submenu` - instead of `run`, an array of actions in this same form,
+     *    or a function returning such an array, which appear in a submenu
+     * 
+     * @param {Object} action - the action, as described above
+     */
+    addContextMenuAction ( action ) {
+        const index = this.contextMenuActions.findIndex( other => other.name == action.name )
+        if ( index > -1 )
+            this.contextMenuActions[index] = action
+        else
+            this.contextMenuActions.push( action )
+    }
+
+    /**
+     * Remove the action with the given name from the context menu of groups.
+     * See `addContextMenuAction()`.
+     * 
+     * @param {string} name - the name of the action to remove
+     */
+    removeContextMenuAction ( name ) {
+        this.contextMenuActions = this.contextMenuActions.filter(
+            action => action.name != name )
+    }
+
+    /**
+     * Show the context menu of actions (see `addContextMenuAction()`) for the
+     * given group at the given point on screen.  This happens when the user
+     * right-clicks a group, but clients can call it at other times too.
+     * 
+     * @param {Group} group - the group on which the menu's actions will act
+     * @param {ScreenPoint} point - the point, in viewport coordinates, at
+     *   which to show the menu
+     * @returns {boolean} whether the menu was shown, which it is not if no
+     *   actions are visible for the group
+     */
+    showContextMenu ( group, point ) {
+        const items = this.contextMenuItems( group, this.contextMenuActions )
+        if ( items.length == 0 ) return false
+        this.contextMenu.show( items, point )
+        return true
+    }
+
+    // Utility used by showContextMenu(): convert the given actions for the
+    // given group into items for a ContextMenu.
+    contextMenuItems ( group, actions ) {
+        return actions.filter( action => !action.visible || action.visible( group ) )
+            .map( action => {
+                const submenu = action.submenu instanceof Function ?
+                    action.submenu( group ) : action.submenu
+                return {
+                    label : action.label,
+                    enabled : !action.predicate || !!action.predicate( group ),
+                    run : action.run && ( () => action.run( group ) ),
+                    submenu : submenu && this.contextMenuItems( group, submenu )
+                }
+            } )
+    }
+
+    /**
+     * Emit the `'group-enter'` and `'group-leave'` events (see
+     * `addEventListener()`) that the mouse's most recent movement calls for,
+     * if the innermost group under it changed.  This is called whenever the
+     * mouse moves over the editor or leaves it.
+     * 
+     * @param {MouseEvent} event - the mouse event that moved the mouse
+     */
+    updateHover ( event ) {
+        const group = this.groupAtPoint( this.lastMousePos )
+        const id = group ? group.id : null
+        if ( id === this.hoveredId ) return
+        if ( this.hoveredId !== null )
+            this.emitGroupEvent( 'group-leave', this.hoveredId, event )
+        this.hoveredId = id
+        if ( id !== null ) this.emitGroupEvent( 'group-enter', id, event )
+    }
+
+    /**
+     * Emit the given kind of event (see `addEventListener()`) for the
+     * innermost group under the given mouse event, if there is one.  This is
+     * called whenever the user clicks, double-clicks, or right-clicks the
+     * editor.
+     * 
+     * @param {string} type - the type of event to emit, such as
+     *   `'group-click'`
+     * @param {MouseEvent} event - the mouse event that led to this one
+     */
+    emitPointerEvent ( type, event ) {
+        const group = this.groupAtPoint( new ScreenPoint( event ) )
+        if ( group ) this.emitGroupEvent( type, group.id, event )
+    }
+
+    // Utility used by updateHover() and emitPointerEvent(): emit an event of
+    // the given type about the group with the given id, and if any handler
+    // prevents its default behavior, prevent that of the original event too.
+    emitGroupEvent ( type, id, originalEvent ) {
+        const event = new Event( type, { cancelable : true } )
+        Object.assign( event, { id, group : this.groupWithId( id ), originalEvent } )
+        if ( !this.eventTarget.dispatchEvent( event ) ) originalEvent.preventDefault()
+    }
+
+    /**
+     * Show or hide each group's tooltip, according to its `show` option (see
+     * `setTooltip()`) and the current mouse position and cursor, and likewise
+     * the message of any feedback under the mouse (see `applyFeedback()`).
+     * This is called whenever either of those changes, and after each change
+     * to the document.  Tooltips reposition themselves, so this just decides
+     * which ones are visible.
+     */
+    updateTooltips () {
+        this.updateFeedbackTooltip()
+        if ( this.tooltips.size == 0 ) return
+        const mouse = this.lastMousePos.relativeTo( this.quill.container )
+        const selection = this.quill.getSelection()
+        const around = !selection ? [ ] :
+            this.groupIndex.containing( selection.index ).map( node => node.id )
+        this.tooltips.forEach( ( entry, id ) => {
+            const region = this.groupIndex.get( id ) && this.regionOf( id )
+            const show = !!region && (
+                entry.show == 'always'
+             || entry.show == 'hover' && region.contains( mouse )
+             || entry.show == 'cursor' && around.includes( id ) )
+            if ( show && !entry.tooltip.isVisible() )
+                entry.tooltip.track( side => this.tooltipRect( id, side ), entry.side )
+            else if ( !show && entry.tooltip.isVisible() )
+                entry.tooltip.hide()
+        } )
+    }
+
+    // Utility used by updateTooltips(): the rectangle, in viewport coordinates,
+    // beside which a tooltip on the given side of the given group should go,
+    // or null if the group is not in the document.  (This is how tooltips
+    // anchor to a group's region rather than to any one DOM node.)
+    tooltipRect ( id, side ) {
+        const region = this.regionOf( id )
+        if ( !region ) return null
+        const rect = region.sideRect( side )
+        const origin = new ScreenRect( this.quill.scroll.domNode ).topLeft
+        return new ScreenRect( rect.left + origin.x, rect.top + origin.y,
+                               rect.right + origin.x, rect.bottom + origin.y )
+    }
+
+    /**
+     * Attach feedback to groups, such as the results of validating them.  The
+     * argument maps group ids to feedback objects, each with a `status`
+     * member, one of the statuses in this module's `feedback` option
+     * (`'valid'`, `'invalid'`, or `'warning'` by default), and an optional
+     * `message` member, a string.  It can be a Map or an object; because an
+     * object's keys are always strings, each key of an object stands for the
+     * id of the group in the document (or with feedback already) that becomes
+     * that key when converted to a string, so integer ids work there too.
+     * Mapping an id to null removes that group's feedback.
+     * Groups not mentioned keep whatever feedback they had.  If any status is
+     * not one of those, this throws an error without changing any feedback.
+     * 
+     * `drawGroups()` outlines each group with feedback in its status's color,
+     * and draws that status's icon at the end of the group's first line.
+     * When the mouse is over the group or its icon, its message appears in a
+     * tooltip.  A group's feedback is removed when the text inside it changes
+     * (see the `'group-content-changed'` event in `addEventListener()`),
+     * because it no longer describes that text.  Like tooltips, feedback on
+     * groups not in the document is kept, in case the group reappears (e.g.,
+     * by undoing).
+     * 
+     * @param {Object|Map} results - the feedback for each group id, as above
+     */
+    applyFeedback ( results ) {
+        let entries = results instanceof Map ? [ ...results ] : Object.entries( results )
+        if ( !( results instanceof Map ) ) {
+            const ids = new Map()
+            this.feedback.forEach( ( _, id ) => ids.set( String( id ), id ) )
+            this.groupIndex.nodes().forEach( node => ids.set( String( node.id ), node.id ) )
+            entries = entries.map( ( [ key, feedback ] ) =>
+                [ ids.has( key ) ? ids.get( key ) : key, feedback ] )
+        }
+        // check every entry before applying any, so that a bad one changes nothing
+        entries.forEach( ( [ id, feedback ] ) => {
+            if ( feedback !== null && feedback !== undefined
+              && !this.options.feedback.hasOwnProperty( feedback.status ) )
+                throw new Error( `Not a feedback status: ${feedback.status}` )
+        } )
+        entries.forEach( ( [ id, feedback ] ) => {
+            if ( feedback === null || feedback === undefined ) {
+                this.feedback.delete( id )
+                return
+            }
+            this.feedback.set( id, {
+                status : feedback.status,
+                message : feedback.message || ''
+            } )
+        } )
+        this.feedbackChanged()
+    }
+
+    /**
+     * The feedback attached to the group with the given id by
+     * `applyFeedback()`, if any.
+     * 
+     * @param {string|integer} id - the id of the group
+     * @returns {Object} the feedback, with `status` and `message` members, or
+     *   undefined if the group has none
+     */
+    feedbackOf ( id ) { return this.feedback.get( id ) }
+
+    /**
+     * Remove the feedback attached by `applyFeedback()` to the groups with the
+     * given ids, or to all groups if no ids are given.
+     * 
+     * @param {Array} [ids] - the ids of the groups whose feedback to remove
+     */
+    clearFeedback ( ids ) {
+        if ( !ids ) ids = [ ...this.feedback.keys() ]
+        const removed = ids.filter( id => this.feedback.delete( id ) )
+        if ( removed.length > 0 ) this.feedbackChanged()
+    }
+
+    // Utility used by applyFeedback() and clearFeedback(): redraw the overlay
+    // layer on which drawGroups() draws feedback, and refresh the message
+    // under the mouse, to show the new feedback.
+    feedbackChanged () {
+        this.feedbackTooltipId = null
+        this.updateFeedbackTooltip()
+        const overlayModule = this.quill.getModule( 'overlay' )
+        if ( overlayModule ) overlayModule.invalidate( 'groups' )
+    }
+
+    // Utility used by drawGroups() and updateFeedbackTooltip(): the rectangle
+    // in which to draw the icon for the given group's feedback, just after
+    // its first line, in the same coordinates as the group's region.
+    feedbackIconRect ( id ) {
+        const line = this.regionOf( id ).sideRect( 'above' )
+        const size = Math.min( this.options.feedbackIconSize, line.height() )
+        const top = line.top + ( line.height() - size ) / 2
+        return new ScreenRect( line.right + 2, top, line.right + 2 + size, top + size )
+    }
+
+    // Utility used by updateTooltips(): show the message of the innermost
+    // group with feedback under the mouse, or hide it if there is none.
+    updateFeedbackTooltip () {
+        const mouse = this.lastMousePos.relativeTo( this.quill.container )
+        const node = this.groupIndex.nodes().filter( node => {
+            const feedback = this.feedback.get( node.id )
+            return !!feedback && feedback.message != ''
+                && ( this.regionOf( node.id ).contains( mouse )
+                  || this.feedbackIconRect( node.id ).contains( mouse ) )
+        } ).pop()
+        if ( !node ) {
+            this.feedbackTooltipId = null
+            if ( this.feedbackTooltip.isVisible() ) this.feedbackTooltip.hide()
+            return
+        }
+        if ( node.id === this.feedbackTooltipId ) return
+        this.feedbackTooltipId = node.id
+        const feedback = this.feedback.get( node.id )
+        this.feedbackTooltip.setText( feedback.message )
+        this.feedbackTooltip.setBorder( undefined,
+            this.options.feedback[feedback.status].color )
+        this.feedbackTooltip.track( side => this.tooltipRect( node.id, side ) )
+    }
+
+    /**
+     * Draw outlines of groups, and the feedback on them, using the given
+     * canvas context.  This is the event handler for the `draw()` event of the
+     * overlay module's `'groups'` layer, which is not redrawn when the mouse
+     * moves; `drawHover()` draws the effects of the mouse on another layer.
+     * 
+     * Each group is drawn according to its style (see `styleOf()`), in all
+     * of the states that currently apply to it other than hovering.  Groups
+     * made of whole paragraphs are drawn as bars in the left gutter (see
+     * `barOf()`), in the bar color of the last state that applies and
+     * specifies one.  Over all of that, it draws the feedback on groups (see
+     * `applyFeedback()`).
      * 
      * @param {Context2D} context - an HTMLCanvas context on which to draw
      */
     drawGroups ( context ) {
+        const selection = this.quill.getSelection()
+        const innerNode = selection ? this.groupIndex.containing( selection.index ).pop() : null
+        this.groupIndex.nodes().forEach( node => {
+            const style = this.styleOf( node.id )
+            this.drawStates( context, node.id,
+                [ style.outline, node == innerNode && style.cursor ] )
+        } )
+        this.groupIndex.nodes().forEach( node => {
+            const feedback = this.feedback.get( node.id )
+            if ( !feedback ) return
+            const status = this.options.feedback[feedback.status]
+            const bar = this.barOf( node.id )
+            if ( bar ) {
+                context.fillStyle = status.color
+                context.fillRect( bar.left, bar.top, bar.width(), bar.height() )
+            } else {
+                this.regionOf( node.id ).drawPath( context )
+                context.strokeStyle = status.color
+                context.lineWidth = 2
+                context.stroke()
+            }
+            const icon = this.feedbackIconRect( node.id )
+            const x = ( icon.left + icon.right ) / 2
+            const y = ( icon.top + icon.bottom ) / 2
+            context.beginPath()
+            context.arc( x, y, icon.width() / 2, 0, 2 * Math.PI )
+            context.fillStyle = status.color
+            context.fill()
+            context.fillStyle = '#ffffff'
+            context.font = `bold ${Math.round( icon.height() * 0.75 )}px sans-serif`
+            context.textAlign = 'center'
+            context.textBaseline = 'middle'
+            context.fillText( status.icon, x, y )
+        } )
+    }
+
+    /**
+     * Draw the hover state (see `styleOf()`) of the groups under the most
+     * recent mouse position, using the given canvas context.  This is the
+     * event handler for the `draw()` event of the overlay module's
+     * `'groups-hover'` layer, which sits above the layer for `drawGroups()`.
+     * The mouse counts as over a group made of whole paragraphs when it is
+     * over its bar, whose color this changes only if the group's cursor state
+     * (which comes after hovering) does not specify a bar color that applies.
+     * 
+     * @param {Context2D} context - an HTMLCanvas context on which to draw
+     */
+    drawHover ( context ) {
         const mouse = this.lastMousePos.relativeTo( this.quill.container )
         const selection = this.quill.getSelection()
-        const innerGroup = selection ? this.groupAround( selection.index ) : null
-        this.allGroups().forEach( group => {
-            const region = group.region()
-            if ( region.contains( mouse ) ) {
-                region.drawCorners( context )
-                context.fillStyle = '#ff0000'
+        const innerNode = selection ? this.groupIndex.containing( selection.index ).pop() : null
+        this.groupIndex.nodes().forEach( node => {
+            const bar = this.barOf( node.id )
+            if ( !this.regionOf( node.id ).contains( mouse ) && !( bar && bar.contains( mouse ) ) )
+                return
+            const style = this.styleOf( node.id )
+            if ( bar && node == innerNode && style.cursor && style.cursor.bar ) return
+            this.drawStates( context, node.id, [ style.hover ] )
+        } )
+    }
+
+    // Utility used by drawGroups() and drawHover(): draw the group with the
+    // given id in each of the given states, ignoring any that are false, or
+    // if it is drawn as a bar, in the bar color of the last that has one.
+    drawStates ( context, id, states ) {
+        states = states.filter( state => state )
+        const region = this.regionOf( id )
+        const bar = this.barOf( id )
+        if ( bar ) {
+            const colors = states.map( state => state.bar ).filter( color => color )
+            if ( colors.length == 0 ) return
+            context.fillStyle = colors[colors.length - 1]
+            context.fillRect( bar.left, bar.top, bar.width(), bar.height() )
+            return
+        }
+        states.forEach( state => {
+            if ( state.fill ) {
+                region.drawPath( context )
+                context.fillStyle = state.fill
                 context.fill()
             }
-            if ( innerGroup && innerGroup.equals( group ) ) {
+            if ( state.stroke ) {
                 region.drawPath( context )
-                context.strokeStyle = '#ff0000'
+                context.strokeStyle = state.stroke
+                context.lineWidth = state.lineWidth || 1
                 context.stroke()
             }
+            if ( state.corners ) {
+                region.drawCorners( context )
+                context.fillStyle = state.corners
+                context.fill()
+            }
         } )
     }
 
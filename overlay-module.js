@@ -2,6 +2,90 @@
 // Assumes you've already pulled in Quill from its CDN
 const Module = Quill.import( 'core/module' )
 
+// The events that can make a layer redraw; see `OverlayModule.addLayer()`
+const triggers = [ 'text-change', 'selection-change', 'mousemove', 'scroll', 'resize' ]
+
+/**
+ * A layer is one transparent canvas in the overlay (see OverlayModule, below).
+ * Clients draw on a layer by listening for its `'draw'` events, which it emits
+ * only when it has been invalidated, just after clearing its canvas.  Like
+ * the OverlayModule, a layer passes `addEventListener()` and
+ * `removeEventListener()` calls through to an internal EventTarget.
+ */
+class Layer {
+
+    /**
+     * Construct a layer.  Clients do not call this directly, but use
+     * `OverlayModule.addLayer()`, whose parameters are documented there.
+     * 
+     * @param {OverlayModule} overlay - the overlay to which this layer belongs
+     * @param {string} name - the name of the layer
+     * @param {Object} options - the layer's options
+     */
+    constructor ( overlay, name, options ) {
+        this.overlay = overlay
+        this.name = name
+        this.zIndex = options.zIndex
+        this.redrawOn = options.redrawOn
+        this.dirty = false
+        this.eventTarget = new EventTarget()
+        this.canvas = overlay.quill.container.ownerDocument.createElement( 'canvas' )
+        this.canvas.style.pointerEvents = 'none'
+        this.canvas.style.position = 'absolute'
+        this.canvas.style.left = this.canvas.style.top = '0px'
+        this.canvas.style.zIndex = this.zIndex
+    }
+
+    /**
+     * Part of the passthrough API for the inner EventTarget.  Handlers for the
+     * `'draw'` event receive an event with a `context` member, the canvas
+     * context on which to draw, and a `layer` member, this object.
+     * 
+     * @param  {...any} args - an event type and handler, plus the optional
+     *   `useCapture` boolean or `options` object, as usual for
+     *   `addEventListeners()`
+     */
+    addEventListener ( ...args ) {
+        this.eventTarget.addEventListener( ...args )
+    }
+
+    /**
+     * Also part of the passthrough API for the inner EventTarget; see
+     * `addEventListener()` for details.  The parameters are the same.
+     */
+    removeEventListener ( ...args ) {
+        this.eventTarget.removeEventListener( ...args )
+    }
+
+    /**
+     * Mark this layer as needing to be redrawn.  See
+     * `OverlayModule.invalidate()`.
+     */
+    invalidate () { this.overlay.invalidate( this.name ) }
+
+    /**
+     * Used internally to clear this layer's canvas and emit a `'draw'` event
+     * so that its handlers can draw it again.  The event's context is scaled
+     * so that handlers draw in the same units as the coordinates of
+     * ScreenPoints, ScreenRects, and Regions, however many pixels of the
+     * canvas that takes.
+     */
+    draw () {
+        this.dirty = false
+        const drawEvent = new Event( 'draw' )
+        drawEvent.context = this.canvas.getContext( '2d' )
+        drawEvent.layer = this
+        // clear the whole canvas, then let handlers draw in viewport pixels,
+        // each of which is `pixelRatio` pixels of the canvas (see updateSize())
+        const ratio = this.overlay.pixelRatio
+        drawEvent.context.setTransform( 1, 0, 0, 1, 0, 0 )
+        drawEvent.context.clearRect( 0, 0, this.canvas.width, this.canvas.height )
+        drawEvent.context.setTransform( ratio, 0, 0, ratio, 0, 0 )
+        this.eventTarget.dispatchEvent( drawEvent )
+    }
+
+}
+
 /**
  * Most of Quill's functionality arises by adding modules to a basic Quill
  * instance.  Thus developers who want to extend Quill are encouraged to do so
@@ -11,14 +95,22 @@ const Module = Quill.import( 'core/module' )
  * and it will appear to be adding visual content to the editor.  For instance,
  * one may use this to overlay highlights, feedback on editor content, tooltips,
  * etc.
+ * 
+ * The overlay is a stack of named layers, each its own canvas, so that
+ * several clients can draw without interfering with one another, and each
+ * layer is redrawn only when something it depends on changes.  Layers are
+ * redrawn at most once per animation frame, however many changes happen in
+ * that frame.  There is always a layer named `'default'`, whose `'draw'` events
+ * this module itself re-emits (see `addEventListener()`), and clients may add
+ * others with `addLayer()`.
  */
 class OverlayModule extends Module {
 
     /**
      * Construct an instance of this module for the given editor.  It creates
-     * the canvas instance, positions it, and installs event handlers so that it
-     * redraws itself whenever important aspects of the editor and/or its
-     * contents change.
+     * the default layer, positions it, and installs event handlers so that the
+     * layers redraw themselves whenever important aspects of the editor and/or
+     * its contents change.
      * 
      * @param {Quill} quill - a Quill editor instance
      * @param {Object} options - an options object with which the editor was set up
@@ -27,27 +119,33 @@ class OverlayModule extends Module {
         // call super and store the editor instance
         super( quill, options )
         this.quill = quill
+        this.layers = [ ]
+        this.frame = null
+        this.pixelRatio = 1
 
-        // create canvas and place into DOM hierarchy
-        this.canvas = quill.container.ownerDocument.createElement( 'canvas' )
-        this.canvas.style.pointerEvents = 'none'
-        quill.container.parentNode.insertBefore(
-            this.canvas, quill.container.nextSibling )
-        this.canvas.style.position = 'absolute'
-
-        // create an internal EventTarget instance for draw event emitting
-        this.eventTarget = new EventTarget()
+        // create the default layer, which redraws on every change, and which
+        // provides the `canvas` member and `'draw'` events of this module
+        const defaultLayer = this.addLayer( 'default' )
+        this.canvas = defaultLayer.canvas
+        this.eventTarget = defaultLayer.eventTarget
 
-        // install event handlers so that the overlay redraws when editor
-        // contents, selection, mouse position, or scrollbar changes
+        // install event handlers so that the overlay's layers redraw when
+        // editor contents, selection, mouse position, or scrollbar changes
         const updateSize = () => this.updateSize()
-        const updatePict = () => this.redraw()
         updateSize()
         new ResizeObserver( updateSize ).observe( quill.container )
-        quill.on( 'text-change', () => setTimeout( updatePict, 0 ) )
-        quill.on( 'selection-change', updatePict )
-        this.quill.container.addEventListener( 'mousemove', updatePict )
-        this.quill.scroll.domNode.addEventListener( 'scroll', updatePict )
+        this.watchPixelRatio()
+        // the canvases are positioned within an ancestor of the editor, which
+        // can move relative to the editor when something between them scrolls
+        const document = quill.container.ownerDocument
+        document.addEventListener( 'scroll', () => this.updatePosition(), true )
+        document.defaultView.addEventListener( 'resize', updateSize )
+        quill.on( 'text-change', () => this.invalidateOn( 'text-change' ) )
+        quill.on( 'selection-change', () => this.invalidateOn( 'selection-change' ) )
+        this.quill.container.addEventListener( 'mousemove',
+            () => this.invalidateOn( 'mousemove' ) )
+        this.quill.scroll.domNode.addEventListener( 'scroll',
+            () => this.invalidateOn( 'scroll' ) )
     }
 
     /**
@@ -60,7 +158,8 @@ class OverlayModule extends Module {
      * such event handlers will receive a `'draw'` event as parameter when they
      * are called.  That event will have a `context` member, which will be the
      * canvas context on which to draw.  You can then call `context.canvas` to
-     * get the canvas instance, if you need it.
+     * get the canvas instance, if you need it.  These are the events of the
+     * default layer; to draw on another layer, listen to it instead.
      * 
      * @param  {...any} args - an event type and handler, plus the optional
      *   `useCapture` boolean or `options` object, as usual for
@@ -79,34 +178,173 @@ class OverlayModule extends Module {
     }
 
     /**
-     * Used internally to resize and reposition the overlay canvas to match the
-     * size and position of the editor it covers.  It then calls `redraw()`; see
-     * its documentation for details.
+     * Add a new layer to the overlay, or return the existing layer with the
+     * given name, if there is one.  Clients draw on the layer by adding
+     * `'draw'` event listeners to the object this returns.  A new layer is
+     * drawn for the first time in the next animation frame.
+     * 
+     * The options may include `zIndex`, a number determining the order in
+     * which layers are stacked, with higher ones drawn on top of lower ones,
+     * and layers with the same `zIndex` stacked in the order they were added
+     * (default 0).  They may also include `redrawOn`, an array of the events
+     * that invalidate the layer, from among `'text-change'`,
+     * `'selection-change'`, `'mousemove'`, `'scroll'`, and `'resize'` (default
+     * all of them).  For example, a layer showing feedback on the document
+     * need not redraw when the mouse moves, but one showing hover effects
+     * must.  A layer can always be invalidated explicitly with `invalidate()`.
+     * 
+     * @param {string} name - the name of the new layer
+     * @param {Object} [options] - the options described above
+     * @returns {Layer} the layer with the given name
+     */
+    addLayer ( name, options = { } ) {
+        const existing = this.layer( name )
+        if ( existing ) return existing
+        const layer = new Layer( this, name, Object.assign(
+            { zIndex : 0, redrawOn : triggers }, options ) )
+        // keep the layers, and their canvases in the DOM, in stacking order
+        const above = this.layers.find( other => other.zIndex > layer.zIndex )
+        const position = above ? this.layers.indexOf( above ) : this.layers.length
+        this.layers.splice( position, 0, layer )
+        const next = this.layers[position + 1]
+        const previous = this.layers[position - 1]
+        this.quill.container.parentNode.insertBefore( layer.canvas, next ? next.canvas
+            : ( previous ? previous.canvas : this.quill.container ).nextSibling )
+        this.fitToEditor( layer.canvas )
+        this.invalidate( name )
+        return layer
+    }
+
+    /**
+     * Find the layer with the given name.
+     * 
+     * @param {string} name - the name of the layer
+     * @returns {Layer} the layer, or undefined if there is none with that name
+     */
+    layer ( name ) {
+        return this.layers.find( layer => layer.name == name )
+    }
+
+    /**
+     * Remove the layer with the given name from the overlay, along with its
+     * canvas.  The default layer cannot be removed.
+     * 
+     * @param {string} name - the name of the layer to remove
+     */
+    removeLayer ( name ) {
+        const layer = this.layer( name )
+        if ( !layer || name == 'default' ) return
+        this.layers.splice( this.layers.indexOf( layer ), 1 )
+        layer.canvas.remove()
+    }
+
+    /**
+     * Mark the layer with the given name as needing to be redrawn, or all
+     * layers if no name is given.  The layers marked this way are redrawn
+     * together in the next animation frame, so that invalidating a layer many
+     * times before then redraws it only once.
+     * 
+     * @param {string} [name] - the name of the layer to invalidate
+     */
+    invalidate ( name ) {
+        this.layers.filter( layer => name === undefined || layer.name == name )
+            .forEach( layer => layer.dirty = true )
+        if ( this.frame !== null ) return
+        const window = this.quill.container.ownerDocument.defaultView
+        this.frame = window.requestAnimationFrame( () => {
+            this.frame = null
+            this.layers.filter( layer => layer.dirty ).forEach( layer => layer.draw() )
+        } )
+    }
+
+    // Utility used by the event handlers installed in the constructor:
+    // invalidate every layer that should redraw when the given event happens.
+    invalidateOn ( trigger ) {
+        this.layers.filter( layer => layer.redrawOn.includes( trigger ) )
+            .forEach( layer => this.invalidate( layer.name ) )
+    }
+
+    /**
+     * Used internally to resize and reposition the overlay's canvases to match
+     * the size and position of the editor they cover, and the density of the
+     * screen's pixels.  It then invalidates the layers that redraw on
+     * resizing; see `invalidate()` for details.
      */
     updateSize () {
-        this.canvas.style.top = this.quill.container.offsetTop + 'px'
-        this.canvas.style.left = this.quill.container.offsetLeft + 'px'
-        this.canvas.style.width = this.quill.container.offsetWidth + 'px'
-        this.canvas.style.height = this.quill.container.offsetHeight + 'px'
-        this.canvas.width = this.quill.container.offsetWidth
-        this.canvas.height = this.quill.container.offsetHeight
-        this.redraw()
+        this.layers.forEach( layer => this.fitToEditor( layer.canvas ) )
+        this.invalidateOn( 'resize' )
+    }
+
+    // Utility used by updateSize() and addLayer(): resize and reposition the
+    // given canvas to cover the editor exactly.  Its size on the page is the
+    // editor's, but it has enough pixels to be sharp on screen, which may be
+    // more than one per viewport pixel on high-density screens or when the
+    // browser is zoomed, and more or fewer if an ancestor is transformed.
+    fitToEditor ( canvas ) {
+        const container = this.quill.container
+        const scale = this.scale()
+        this.pixelRatio = container.ownerDocument.defaultView.devicePixelRatio || 1
+        canvas.style.width = container.offsetWidth + 'px'
+        canvas.style.height = container.offsetHeight + 'px'
+        canvas.width = Math.round( container.offsetWidth * scale * this.pixelRatio )
+        canvas.height = Math.round( container.offsetHeight * scale * this.pixelRatio )
+        this.alignWithEditor( canvas )
     }
 
     /**
-     * Clear the canvas and emit a `'draw'` event, so that any installed
-     * handlers can redraw the contents of the canvas.  This gets called
-     * whenever the editor contents, position, selection, scrollbars, etc.
-     * change, so that if the overlay's drawing needs to change, it can respond
-     * appropriately.
+     * Used internally to move the overlay's canvases so that they sit exactly
+     * on top of the editor, after something has scrolled that may have moved
+     * one relative to the other.
      */
-    redraw () {
-        const drawEvent = new Event( 'draw' )
-        drawEvent.context = this.canvas.getContext( '2d' )
-        drawEvent.context.clearRect( 0, 0, this.canvas.width, this.canvas.height )
-        this.eventTarget.dispatchEvent( drawEvent )
+    updatePosition () {
+        this.layers.forEach( layer => this.alignWithEditor( layer.canvas ) )
     }
-    
+
+    // Utility used by fitToEditor() and updatePosition(): move the given
+    // canvas so that its top left corner is the editor's.  Its position is
+    // relative to an ancestor that may be scrolled, bordered, or transformed,
+    // so rather than computing it, we measure how far off it is and correct
+    // that, converting from viewport pixels to the ancestor's pixels.
+    alignWithEditor ( canvas ) {
+        const target = this.quill.container.getBoundingClientRect()
+        const actual = canvas.getBoundingClientRect()
+        const scale = this.scale()
+        canvas.style.left = ( parseFloat( canvas.style.left ) || 0 )
+                          + ( target.left - actual.left ) / scale + 'px'
+        canvas.style.top = ( parseFloat( canvas.style.top ) || 0 )
+                         + ( target.top - actual.top ) / scale + 'px'
+    }
+
+    // Utility used by fitToEditor() and alignWithEditor(): the number of
+    // viewport pixels per CSS pixel of the editor, which is 1 unless an
+    // ancestor of the editor has a transform that scales it.
+    scale () {
+        const container = this.quill.container
+        const width = container.getBoundingClientRect().width
+        return container.offsetWidth > 0 && width > 0 ? width / container.offsetWidth : 1
+    }
+
+    // Utility used by the constructor: call updateSize() whenever the device
+    // pixel ratio changes, as it does when the browser zooms or the window
+    // moves to a screen with a different pixel density.  A media query
+    // notices only one change, so we make a new one after each.
+    watchPixelRatio () {
+        const window = this.quill.container.ownerDocument.defaultView
+        window.matchMedia( `(resolution: ${window.devicePixelRatio}dppx)` )
+            .addEventListener( 'change', () => {
+                this.updateSize()
+                this.watchPixelRatio()
+            }, { once : true } )
+    }
+
+    /**
+     * Invalidate every layer, so that they are all cleared and redrawn in the
+     * next animation frame, each emitting a `'draw'` event so that any
+     * installed handlers can redraw the contents of its canvas.  See
+     * `invalidate()` for details.
+     */
+    redraw () { this.invalidate() }
+
 }
 
 Quill.register( 'modules/overlay', OverlayModule )
@@ -18,6 +18,7 @@ export const addToolbarButton = ( quill, html, handler ) => {
     button.innerHTML = html
     button.addEventListener( 'click', handler )
     zone.appendChild( button )
+    return button
 }
 
 // This does not match perfectly with the existing Quill style, but it functions:
@@ -27,6 +28,7 @@ export const addToolbarMenu = ( quill, list, handler ) => {
     select.innerHTML = list.map( x => `<option value="${x}">${x}</option>` ).join( '' )
     select.addEventListener( 'change', handler ) // event.target will be the select
     zone.appendChild( select )
+    return select
 }
 
 // set this up with quill.on('text-change',debugTextChange) for lots of console
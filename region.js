@@ -1,39 +1,131 @@
 
+// Assumes you've already pulled in Quill from its CDN
 import { ScreenRect } from './screen-rect.js'
 import { ScreenPoint } from './screen-point.js'
 
-// Number of pixels by which two text lines can slightly overlap and still be
-// considered different lines of text.  We will probably later need a much
-// smarter way to test if two nodes are on different lines in the editor.
-const epsilon = 3
+// Utility function for use in this module only: the rectangles on screen
+// occupied by the content inside the given element that lies in the given
+// range.  We use the rectangles of each text node and each empty element (such
+// as a line break) in that content, rather than those of the range itself,
+// because a range reports the entire box of any block element it contains,
+// not its lines.
+const contentRects = ( range, element ) => {
+    const document = element.ownerDocument
+    const result = [ ]
+    const walker = document.createTreeWalker( element,
+        NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT )
+    for ( let node = walker.currentNode ; node ; node = walker.nextNode() ) {
+        if ( node == element || !range.intersectsNode( node ) ) continue
+        if ( node.nodeType == Node.TEXT_NODE ) {
+            const inner = document.createRange()
+            inner.selectNodeContents( node )
+            result.push( ...inner.getClientRects() )
+        } else if ( node.childNodes.length == 0 ) {
+            result.push( ...node.getClientRects() )
+        }
+    }
+    return result.filter( rect => rect.width > 0 || rect.height > 0 )
+}
+
+// Utility function for use in this module only: the DOM elements of the lines
+// of the document (that is, its block blots, such as paragraphs, list items,
+// headings, and code blocks) from the one containing the start node through
+// the one containing the end node.  If the context is not a Quill editor, we
+// treat it as one big block.
+const blockElements = ( start, end, context ) => {
+    const scroll = Quill.find( context )
+    const first = Quill.find( start, true )
+    const last = Quill.find( end, true )
+    if ( !scroll || !first || !last ) return [ context ]
+    const index = first.offset( scroll )
+    const length = last.offset( scroll ) + last.length() - index
+    return scroll.lines( index, length ).map( line => line.domNode )
+}
+
+// Utility function for use in this module only: split the given rectangles,
+// from the content of one block, into the lines on which they sit.  Content
+// wraps onto a new line box below the previous one, so a rectangle that begins
+// at or below the bottom of every rectangle on the current line begins a new
+// line.  Rectangles of different heights (as from larger text or an inline
+// formula) on the same line overlap it vertically, and so stay on it.
+const splitIntoLines = rects => {
+    const result = [ ]
+    rects.forEach( rect => {
+        const last = result[result.length - 1]
+        if ( last && rect.top < Math.max( ...last.map( other => other.bottom ) ) )
+            last.push( rect )
+        else
+            result.push( [ rect ] )
+    } )
+    return result
+}
+
+// Utility function for use in this module only: the smallest rectangle
+// containing all of the given ScreenRects.
+const union = rects => new ScreenRect(
+    Math.min( ...rects.map( rect => rect.left ) ),
+    Math.min( ...rects.map( rect => rect.top ) ),
+    Math.max( ...rects.map( rect => rect.right ) ),
+    Math.max( ...rects.map( rect => rect.bottom ) )
+)
 
 /**
  * A region is an on-screen shape that includes two DOM Nodes, a start and an
- * end, which must appear in that order in the document.  If the two nodes are
- * on the same line of text on screen, then the region is a rectangle, the
- * bounding box of the union of the two nodes' bounding boxes.  If the two nodes
- * are not on the same line of text, then the region is shaped like an irregular
- * octagon that covers all text, in order, from the start node to the end node,
- * as if highlighted, as illustrated below.
+ * end, which must appear in that order in the document, and everything between
+ * them.  It is made of one rectangle for each line of text it touches, each
+ * spanning just the part of that line from the start node to the end node, as
+ * if highlighted (where a highlighted line extends across the whole width of
+ * the paragraph, list item, etc., containing it).  For example, a region
+ * beginning near the end of one line and ending near the start of the next is
+ * made of two separate rectangles:
  * 
  * ```
  *                                            +----------------------------+
  *     words before words before words before | words inside words inside  |
- * +------------------------------------------+                            |
- * | words inside words inside words inside words inside words inside      |
- * |                                                                       |
+ *                                            +----------------------------+
+ * +--------------+
+ * | words inside | words after words after words after words after
+ * +--------------+
+ * ```
+ * 
+ * Rectangles for consecutive lines that overlap horizontally are considered
+ * touching, and are extended vertically to meet one another, so that together
+ * they form one connected piece.  The region is therefore a list of pieces,
+ * each of which is a list of line rectangles, and `drawPath()` traces one
+ * outline around each piece.  For example, a region spanning three lines,
+ * whose first line is shorter than its second, is a single piece, outlined
+ * like so:
+ * 
+ * ```
+ *                                            +------------------------+
+ *     words before words before words before | words inside words     |
+ * +------------------------------------------+                        +---+
  * | words inside words inside words inside words inside words inside      |
- * |                                                                       |
+ * |              +--------------------------------------------------------+
+ * | words inside | words after words after words after words after
+ * +--------------+
+ * ```
+ * 
+ * Optionally, a region with just one piece spanning several lines can instead
+ * be drawn (and tested for containment) as an irregular octagon covering the
+ * bounding box of all its lines, except for the parts before the start on the
+ * first line and after the end on the last line, as illustrated below.  To get
+ * this behavior, pass `{ shape : 'octagon' }` as the constructor's options.
+ * 
+ * ```
+ *                                            +----------------------------+
+ *     words before words before words before | words inside words inside  |
+ * +------------------------------------------+                            |
  * | words inside words inside words inside words inside words inside      |
  * |              +--------------------------------------------------------+
  * | words inside | words after words after words after words after
  * +--------------+
  * ```
  * 
- * For convenience in discussion below, let us number these points 0 through 7.
- * The left of the two points in the topmost row (just above and to the right
- * of the text "words before words before") will be point 0, then we proceed
- * clockwise, so that they are numbered like so in all:
+ * For convenience in discussion below, let us number the points of the
+ * octagon 0 through 7.  The left of the two points in the topmost row (just
+ * above and to the right of the text "words before words before") will be
+ * point 0, then we proceed clockwise, so that they are numbered like so in all:
  * ```
  *        0-----1
  * 6------7     |
@@ -48,42 +140,89 @@ export class Region {
      * Construct a new Region by giving the DOM Nodes at its start and end
      * (such as the open and close groupers if this Region represents a group,
      * as defined in the groups module) and the editor node, so that all
-     * coordinates can be relativized to it for drawing purposes, and padding
-     * for paragraph margins/gutters can be detected.
+     * coordinates can be relativized to it for drawing purposes.
+     * 
+     * The lines of the region follow the real layout of each block of the
+     * document that the region touches (paragraph, list item, heading, code
+     * block, etc., as found from the block blots in the Quill editor whose
+     * root is the context).  The region covers every line of each such block
+     * from the left to the right of the block's content box (so that indented
+     * list items, blockquotes, and code blocks have correspondingly narrower
+     * lines), except that its first line begins at the start node and its last
+     * line ends at the end node.  Lines are as tall as their content, which
+     * may vary from line to line (e.g., in headings).
+     * 
+     * The options object may contain a `shape` member, which is either
+     * `'lines'` (the default) or `'octagon'`, as described above.
      * 
      * @param {Node} start - the DOM Node at the start of the Region
      * @param {Node} end - the DOM Node at the end of the Region
      * @param {Node} context - the editor or container for the document
+     * @param {Object} [options] - options for the region's shape, as above
      */
-    constructor ( start, end, context ) {
-        // precompute all necessary ingredients
-        const rect1 = start.getBoundingClientRect()
-        const rect2 = end.getBoundingClientRect()
+    constructor ( start, end, context, options = { } ) {
         const bounds = context.getBoundingClientRect()
         const reference = new ScreenPoint( bounds.left, bounds.top )
-        this.isRect = rect2.top < rect1.bottom - epsilon
-        const min = Math.min( rect1.top, rect2.top )
-        const max = Math.max( rect1.bottom, rect2.bottom )
-        // we now use those ingredients to compute all the points of the region,
-        // and relativize them to the DOM Node given as the context
-        if ( this.isRect ) {
-            // if this is a rect, store its data as a ScreenRect
-            this.bounds = new ScreenRect( rect1.left, min, rect2.right, max )
-                .relativeTo( reference )
-        } else {
-            // Irregular octagon--the interesting case:
-            // bounds = the rectangle that's the bounding box of the region
+        const range = start.ownerDocument.createRange()
+        range.setStartBefore( start )
+        range.setEndAfter( end )
+        // gather the rectangles of the content of each block into lines, each
+        // spanning the block's content box, then trim the first and last
+        // lines of the whole region to the start and end nodes; if a block
+        // has no content with rectangles (e.g., it is not displayed), we treat
+        // its whole content box as one line
+        this.lines = [ ]
+        let firstLeft, lastRight
+        blockElements( start, end, context ).forEach( element => {
+            const box = new ScreenRect( element, true )
+            let lines = splitIntoLines( contentRects( range, element ) )
+            if ( lines.length == 0 ) lines = [ [ box ] ]
+            lines.forEach( line => {
+                const top = Math.min( ...line.map( rect => rect.top ) )
+                const bottom = Math.max( ...line.map( rect => rect.bottom ) )
+                if ( firstLeft === undefined )
+                    firstLeft = Math.max( box.left, line[0].left )
+                lastRight = Math.min( box.right, line[line.length - 1].right )
+                this.lines.push( new ScreenRect( box.left, top, box.right, bottom )
+                    .relativeTo( reference ) )
+            } )
+        } )
+        const first = this.lines[0]
+        const last = this.lines[this.lines.length - 1]
+        this.lines[0] = new ScreenRect( firstLeft - reference.x, first.top,
+                                        first.right, first.bottom )
+        this.lines[this.lines.length - 1] = new ScreenRect(
+            this.lines[this.lines.length - 1].left, last.top,
+            lastRight - reference.x, last.bottom )
+        // group the lines into pieces, extending touching lines to meet
+        this.pieces = [ ]
+        let piece = [ ]
+        this.lines.forEach( ( line, index ) => {
+            const previous = this.lines[index - 1]
+            if ( previous && line.left <= previous.right && previous.left <= line.right ) {
+                const middle = ( previous.bottom + line.top ) / 2
+                piece[piece.length - 1] = new ScreenRect(
+                    piece[piece.length - 1].left, piece[piece.length - 1].top,
+                    piece[piece.length - 1].right, middle )
+                piece.push( new ScreenRect( line.left, middle, line.right, line.bottom ) )
+            } else {
+                if ( piece.length > 0 ) this.pieces.push( piece )
+                piece = [ line ]
+            }
+        } )
+        this.pieces.push( piece )
+        // compute the bounding box, and the octagon's insets if needed
+        this.bounds = union( this.lines )
+        this.isRect = this.lines.length == 1
+        this.isOctagon = options.shape == 'octagon'
+                      && this.pieces.length == 1 && !this.isRect
+        if ( this.isOctagon ) {
             // inset1 = point 7 in the above numbering
             // inset2 = point 3 in the above numbering
-            const styles = context.computedStyleMap()
-            const padLeft = styles.get( 'padding-left' ).value
-            const padRight = styles.get( 'padding-right' ).value
-            this.bounds = new ScreenRect( bounds.left + padLeft, min,
-                bounds.right - padRight, max ).relativeTo( reference )
-            this.inset1 = new ScreenPoint( rect1.left, rect1.bottom )
-                .relativeTo( reference )
-            this.inset2 = new ScreenPoint( rect2.right, rect2.top )
-                .relativeTo( reference )
+            const first = this.pieces[0][0]
+            const last = this.pieces[0][this.pieces[0].length - 1]
+            this.inset1 = new ScreenPoint( first.left, first.bottom )
+            this.inset2 = new ScreenPoint( last.right, last.top )
             this.insetRect1 = new ScreenRect( this.bounds.topLeft, this.inset1 )
             this.insetRect2 = new ScreenRect( this.inset2, this.bounds.bottomRight )
         }
@@ -95,29 +234,30 @@ export class Region {
      * they overlap, and can provide behavior or feedback associated with those
      * regions.
      * 
-     * In service to code brevity, this function doesn't fuss about the
-     * one-pixel boundary of the region; certain parts of it may be "inside" and
-     * other parts "outside" but the boundary is low priority here.  A more
-     * precise implementation could be achieved with more fiddling.
+     * The answer matches the shape that `drawPath()` traces: a point is inside
+     * the region if it is inside one of its pieces (including the edges), or
+     * if the region is drawn as an octagon, inside that octagon.
      * 
      * @param {ScreenPoint} screenPoint - the point to test for membership
      * @returns {boolean} whether the point is in the region
      */
     contains ( screenPoint ) {
-        if ( this.isRect ) {
-            return this.bounds.contains( screenPoint )
-        } else {
+        if ( this.isOctagon ) {
             return this.bounds.contains( screenPoint )
                 && !this.insetRect1.contains( screenPoint )
                 && !this.insetRect2.contains( screenPoint )
+        } else {
+            return this.pieces.some( piece =>
+                piece.some( rect => rect.contains( screenPoint ) ) )
         }
     }
 
     /**
-     * On the given canvas context, begin, trace, and close a path representing
-     * this region.  If this region is a rectangle, the path will be a simple
-     * rectangle.  Otherwise it will be the irregular octagon shown in the
-     * documentation above.
+     * On the given canvas context, begin and trace a path representing this
+     * region.  For each piece of the region, the path contains one closed
+     * outline around the piece's rectangles.  (If a piece is just one line,
+     * that outline is a rectangle.)  If the region is drawn as an octagon, the
+     * path is instead the irregular octagon shown in the documentation above.
      * 
      * Note that this function neither strokes nor fills the path; the client
      * can either or both of those as they choose using whatever styles they
@@ -129,10 +269,7 @@ export class Region {
      */
     drawPath ( context ) {
         context.beginPath()
-        if ( this.isRect ) {
-            context.rect( this.bounds.left, this.bounds.top,
-                this.bounds.width(), this.bounds.height() )
-        } else {
+        if ( this.isOctagon ) {
             context.moveTo( this.inset1.x, this.bounds.top )
             context.lineTo( this.bounds.right, this.bounds.top )
             context.lineTo( this.bounds.right, this.inset2.y )
@@ -141,46 +278,87 @@ export class Region {
             context.lineTo( this.bounds.left, this.bounds.bottom )
             context.lineTo( this.bounds.left, this.inset1.y )
             context.lineTo( this.inset1.x, this.inset1.y )
-            context.lineTo( this.inset1.x, this.bounds.top )
+            context.closePath()
+            return
         }
-        context.closePath()
+        this.pieces.forEach( piece => {
+            // down the right sides of the lines, then up their left sides
+            context.moveTo( piece[0].right, piece[0].top )
+            piece.forEach( rect => {
+                context.lineTo( rect.right, rect.top )
+                context.lineTo( rect.right, rect.bottom )
+            } )
+            piece.slice().reverse().forEach( rect => {
+                context.lineTo( rect.left, rect.bottom )
+                context.lineTo( rect.left, rect.top )
+            } )
+            context.closePath()
+        } )
     }
 
     /**
-     * On the given canvas context, begin, trace, and close a path representing
-     * the beginning and ending corners of the region.  The corners are drawn as
-     * two triangles bracketing the region.  If the region is a rectangle, those
-     * two triangles will be at its top left and bottom right corners.  If it is
-     * not a rectangle, they will be at the two points numbered 0 and 4 in the
-     * above numbering of the region's boundary points.
+     * On the given canvas context, begin and trace a path representing the
+     * beginning and ending corners of the region.  The corners are drawn as
+     * pairs of triangles bracketing the region: one at the top left of the
+     * first line of each piece, and one at the bottom right of its last line.
+     * If the region is drawn as an octagon, those are the points numbered 0
+     * and 4 in the above numbering of its boundary points.
      * 
      * Like `drawPath()`, this function does not actually stroke or fill the
      * path, but just traces it so that the client can stroke/fill as desired.
      * 
      * @param {Context2D} context - an HTMLCanvas context on which to draw
+     * @param {number} [radius] - the length of the triangles' sides, in pixels
      */
     drawCorners ( context, radius=10 ) {
         context.beginPath()
-        let rect = this.isRect ? this.bounds : new ScreenRect(
-            this.inset1.x, this.bounds.top, this.inset2.x, this.bounds.bottom )
-        context.moveTo( rect.left, rect.top )
-        context.lineTo( rect.left + radius, rect.top )
-        context.lineTo( rect.left, rect.top + radius )
-        context.moveTo( rect.right, rect.bottom )
-        context.lineTo( rect.right - radius, rect.bottom )
-        context.lineTo( rect.right, rect.bottom - radius )
-        context.closePath()
+        const corners = this.isOctagon ? [ [
+            new ScreenPoint( this.inset1.x, this.bounds.top ),
+            new ScreenPoint( this.inset2.x, this.bounds.bottom )
+        ] ] : this.pieces.map( piece => [
+            piece[0].topLeft, piece[piece.length - 1].bottomRight
+        ] )
+        corners.forEach( ( [ topLeft, bottomRight ] ) => {
+            context.moveTo( topLeft.x, topLeft.y )
+            context.lineTo( topLeft.x + radius, topLeft.y )
+            context.lineTo( topLeft.x, topLeft.y + radius )
+            context.closePath()
+            context.moveTo( bottomRight.x, bottomRight.y )
+            context.lineTo( bottomRight.x - radius, bottomRight.y )
+            context.lineTo( bottomRight.x, bottomRight.y - radius )
+            context.closePath()
+        } )
+    }
+
+    /**
+     * The rectangle beside which something (such as a tooltip) should be
+     * placed, in order to be on the given side of this region.  Something
+     * placed above the region should be above its first line, and something
+     * placed below it should be below its last line, so for those two sides,
+     * this is the rectangle of that line.  For the left and right sides, it is
+     * the bounding box of the whole region.
+     * 
+     * @param {string} side - one of `'above'`, `'below'`, `'left'`, or
+     *   `'right'`
+     * @returns {ScreenRect} the rectangle described above, in the same
+     *   coordinates as the rest of this region
+     */
+    sideRect ( side ) {
+        if ( side == 'above' ) return this.lines[0]
+        if ( side == 'below' ) return this.lines[this.lines.length - 1]
+        return this.bounds
     }
 
     /**
-     * Simple string representation for debugging, either as a rect or as a
-     * non-rect region reported as the bounding rect and two insets.
+     * Simple string representation for debugging, listing the rectangles of
+     * the lines in each piece, and noting whether the region is drawn as an
+     * octagon.
      * 
      * @returns {String} a string representation of this region
      */
     toString () {
-        return this.isRect ? `RectRegion(${this.bounds})` :
-            `NonRectRegion(${this.bounds};${this.inset1},${this.inset2})`
+        const pieces = this.pieces.map( piece => piece.join( ',' ) ).join( ';' )
+        return `${this.isOctagon ? 'Octagon' : ''}Region(${pieces})`
     }
 
 }
@@ -25,7 +25,7 @@ export class ScreenRect {
      * `getBoundingClientRect()`.  The optional second parameter is whether to
      * take the element's padding into account (default false, meaning use the
      * whole rectangle, but if you set it to true, it will use only the inner
-     * part, excluding the padding).
+     * part, excluding the padding and border, that is, the content box).
      * 
      * If you call this function with four numbers, they will be treated as
      * left, top, right, and bottom measurements, and stored in this rectangle.
@@ -38,15 +38,16 @@ export class ScreenRect {
     set ( ...args ) {
         if ( args[0] instanceof HTMLElement ) {
             const rect = args[0].getBoundingClientRect()
+            const inset = { left : 0, top : 0, right : 0, bottom : 0 }
             if ( args[1] ) { // did they ask us to use padding?
                 const styles = args[0].computedStyleMap()
-                rect.left += styles.get( 'padding-left' ).value
-                rect.top += styles.get( 'padding-top' ).value
-                rect.right += styles.get( 'padding-right' ).value
-                rect.bottom += styles.get( 'padding-bottom' ).value
+                for ( const side in inset )
+                    inset[side] = styles.get( `padding-${side}` ).value
+                                + styles.get( `border-${side}-width` ).value
             }
-            this.topLeft = new ScreenPoint( rect.left, rect.top )
-            this.bottomRight = new ScreenPoint( rect.right, rect.bottom )
+            this.topLeft = new ScreenPoint( rect.left + inset.left, rect.top + inset.top )
+            this.bottomRight = new ScreenPoint( rect.right - inset.right,
+                                                rect.bottom - inset.bottom )
         } else if ( args[0] instanceof ScreenPoint ) {
             this.topLeft = args[0]
             this.bottomRight = args[1]
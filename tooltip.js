@@ -0,0 +1,403 @@
+
+import { ScreenRect } from './screen-rect.js'
+import { ScreenPoint } from './screen-point.js'
+
+// The side of the tooltip that faces the point it is placed beside, for each
+// side of that point on which the tooltip can be placed
+const facingEdge = { above : 'bottom', below : 'top', left : 'right', right : 'left' }
+// The order in which to try sides when the preferred side does not fit
+const fallbacks = {
+    above : [ 'above', 'below', 'right', 'left' ],
+    below : [ 'below', 'above', 'right', 'left' ],
+    left : [ 'left', 'right', 'above', 'below' ],
+    right : [ 'right', 'left', 'above', 'below' ]
+}
+// Which two borders of the (rotated) arrow square are visible, for each edge
+const arrowBorders = {
+    top : [ 'Top', 'Left' ],
+    bottom : [ 'Bottom', 'Right' ],
+    left : [ 'Left', 'Bottom' ],
+    right : [ 'Right', 'Top' ]
+}
+
+/**
+ * A tooltip is a box that floats over an element on screen (typically the
+ * editor) and can contain arbitrary HTML, including interactive input widgets.
+ * It can be placed above, below, left, or right of any point, and can have an
+ * arrow pointing at that point, so that it looks like a tooltip for whatever is
+ * there.
+ * 
+ * An arrow can sit in any of the 8 corners of the tooltip, which we name by
+ * the edge the arrow sticks out of, followed by the end of that edge it is
+ * nearest, as in the diagram below.  (So `'top-left'` is an arrow sticking up
+ * from the top edge, near its left end, and `'left-top'` is an arrow sticking
+ * left from the left edge, near its top end.)
+ * 
+ * ```
+ *             top-left      top-right
+ *                 ^             ^
+ *    left-top <+-------------------+> right-top
+ *              |  tooltip content  |
+ * left-bottom <+-------------------+> right-bottom
+ *                 v             v
+ *            bottom-left   bottom-right
+ * ```
+ * 
+ * A tooltip can be placed in either of two ways.  Calling `showAt()` places it
+ * beside a point, which then moves along with the element it floats over
+ * (e.g., when the page scrolls).  Calling `track()` places it beside a
+ * descendant of that element, on a preferred side of it if there is room
+ * there, and on another side otherwise.  In both cases, the tooltip repositions
+ * itself whenever the element it floats over is resized, scrolled, or has its
+ * contents changed, which are the same events that prompt the OverlayModule to
+ * redraw.  Calling `hide()` dismisses the tooltip.
+ */
+export class Tooltip {
+
+    // Default options for tooltips, which are combined with any options the
+    // client provides to the constructor.  Lengths are in pixels.
+    static DEFAULTS = {
+        background : '#ffffff',
+        borderColor : '#888888',
+        borderWidth : 1,
+        borderRadius : 4,
+        padding : '4px 8px',
+        arrowSize : 8,    // distance from the tooltip's edge to the arrow's tip
+        arrowInset : 16,  // distance from the corner to the middle of the arrow
+        gap : 2,          // distance from the arrow's tip to the point
+        zIndex : 1000
+    }
+
+    /**
+     * Construct a new tooltip to float over the given element.  The tooltip is
+     * hidden until one of `showAt()` or `track()` is called.  Its contents are
+     * a DIV, available as the `div` member of this object, which clients can
+     * fill with whatever HTML they like, directly or by calling `setHTML()`.
+     * 
+     * @param {HTMLElement} element - the element over which this tooltip will
+     *   float
+     * @param {Object} [options] - any options to override those in
+     *   `Tooltip.DEFAULTS`
+     */
+    constructor ( element, options = { } ) {
+        this.element = element
+        this.options = Object.assign( { }, Tooltip.DEFAULTS, options )
+        this.placement = null
+        this.arrow = null
+
+        // create the box and its (initially hidden) arrow and place them into
+        // the DOM; we use fixed positioning, in viewport coordinates, so that
+        // the tooltip is not clipped by any scrolling container
+        const document = element.ownerDocument
+        this.box = document.createElement( 'div' )
+        this.box.style.position = 'fixed'
+        this.box.style.display = 'none'
+        this.box.style.boxSizing = 'border-box'
+        this.box.style.zIndex = this.options.zIndex
+        this.div = document.createElement( 'div' )
+        this.box.appendChild( this.div )
+        this.arrowDiv = document.createElement( 'div' )
+        this.arrowDiv.style.position = 'absolute'
+        this.arrowDiv.style.display = 'none'
+        this.arrowDiv.style.transform = 'rotate(45deg)'
+        this.arrowDiv.style.pointerEvents = 'none'
+        this.box.appendChild( this.arrowDiv )
+        document.body.appendChild( this.box )
+        this.applyStyle()
+
+        // install event handlers so that the tooltip repositions itself when
+        // the element's size, scroll position, or contents change
+        this.update = () => this.reposition()
+        this.resizeObserver = new ResizeObserver( this.update )
+        this.resizeObserver.observe( element )
+        this.mutationObserver = new MutationObserver( this.update )
+        this.mutationObserver.observe( element,
+            { childList : true, subtree : true, characterData : true } )
+        document.addEventListener( 'scroll', this.update, true )
+        document.defaultView.addEventListener( 'resize', this.update )
+    }
+
+    /**
+     * Replace the contents of this tooltip with the given HTML.  This is just a
+     * convenience function for setting the `innerHTML` of the `div` member.
+     * 
+     * @param {string} html - the new contents of the tooltip
+     */
+    setHTML ( html ) {
+        this.div.innerHTML = html
+        this.reposition()
+    }
+
+    /**
+     * Replace the contents of this tooltip with the given plain text, which,
+     * unlike the argument to `setHTML()`, is shown exactly as given.
+     * 
+     * @param {string} text - the new contents of the tooltip
+     */
+    setText ( text ) {
+        this.div.textContent = text
+        this.reposition()
+    }
+
+    /**
+     * Change the border of this tooltip (and its arrow, if any).  Omitted
+     * parameters leave the corresponding aspect of the border unchanged.
+     * 
+     * @param {number} [width] - the width of the border, in pixels (0 for no
+     *   border)
+     * @param {string} [color] - the color of the border, as in CSS
+     * @param {number} [radius] - the radius of the border's corners, in pixels
+     */
+    setBorder ( width, color, radius ) {
+        if ( width !== undefined ) this.options.borderWidth = width
+        if ( color !== undefined ) this.options.borderColor = color
+        if ( radius !== undefined ) this.options.borderRadius = radius
+        this.applyStyle()
+        this.reposition()
+    }
+
+    /**
+     * Give this tooltip an arrow in the given corner, or remove its arrow.
+     * The corners are named as in the documentation at the top of this class.
+     * 
+     * When the tooltip is placed on a given side of a point, it moves the arrow
+     * to the edge facing that point, so that the arrow points at it.  The arrow
+     * keeps its position along that edge; for example, an arrow in the
+     * `'top-left'` corner of a tooltip placed below a point stays there, but if
+     * the tooltip is instead placed above the point, the arrow moves to the
+     * `'bottom-left'` corner.  (The first end of the left and right edges, the
+     * top, corresponds to the first end of the top and bottom edges, the left,
+     * and similarly for the second ends.)
+     * 
+     * @param {string} corner - the corner in which to place the arrow, or null
+     *   to have no arrow
+     */
+    setArrow ( corner ) {
+        if ( !corner ) {
+            this.arrow = null
+        } else {
+            const [ edge, end ] = corner.split( '-' )
+            if ( !arrowBorders[edge] || !end )
+                throw new Error( `Not a tooltip corner: ${corner}` )
+            this.arrow = { edge, first : end == 'left' || end == 'top' }
+        }
+        this.applyStyle()
+        this.reposition()
+    }
+
+    /**
+     * The corner in which this tooltip's arrow currently sits, named as in the
+     * documentation at the top of this class, or null if it has no arrow.
+     * 
+     * @returns {string} the name of the corner, or null
+     */
+    arrowCorner () {
+        if ( !this.arrow ) return null
+        const horizontal = this.arrow.edge == 'top' || this.arrow.edge == 'bottom'
+        const end = horizontal ? ( this.arrow.first ? 'left' : 'right' )
+                               : ( this.arrow.first ? 'top' : 'bottom' )
+        return `${this.arrow.edge}-${end}`
+    }
+
+    /**
+     * Show this tooltip on the given side of the given point.  The point is in
+     * viewport coordinates (like those of mouse events and of
+     * `getBoundingClientRect()`), but is remembered relative to the element
+     * this tooltip floats over, so that the tooltip moves with that element
+     * when it moves on screen.
+     * 
+     * If the tooltip has an arrow, the tooltip is placed so that the arrow's
+     * tip is at the point.  Otherwise, it is centered beside the point.
+     * 
+     * @param {ScreenPoint} point - the point beside which to place the tooltip
+     * @param {string} [side] - one of `'above'`, `'below'`, `'left'`, or
+     *   `'right'`, the side of the point on which to place the tooltip
+     */
+    showAt ( point, side = 'above' ) {
+        if ( !facingEdge[side] ) throw new Error( `Not a tooltip side: ${side}` )
+        this.placement = { point : point.relativeTo( this.element ), side }
+        this.box.style.display = 'block'
+        this.reposition()
+    }
+
+    /**
+     * Show this tooltip beside the given descendant of the element it floats
+     * over, and keep it there.  Whenever this tooltip repositions itself, it
+     * places itself on the preferred side of the target if it fits within the
+     * viewport there, and otherwise on the opposite side, or failing that,
+     * either of the other two sides, or failing all of those, on the preferred
+     * side anyway.  If the target leaves the document, the tooltip hides.
+     * 
+     * The target may instead be a function, for tracking something on screen
+     * that is not a single element (such as a Region).  It will be called with
+     * a side (one of those listed below) and must return the ScreenRect, in
+     * viewport coordinates, beside which a tooltip on that side should be
+     * placed, or null if the thing being tracked is no longer on screen, in
+     * which case the tooltip hides.
+     * 
+     * @param {HTMLElement|function} target - the descendant for which this is
+     *   a tooltip, or a function computing its rectangle, as described above
+     * @param {string} [preferred] - one of `'above'`, `'below'`, `'left'`, or
+     *   `'right'`, the side of the target on which to place the tooltip if
+     *   possible
+     */
+    track ( target, preferred = 'above' ) {
+        if ( !fallbacks[preferred] )
+            throw new Error( `Not a tooltip side: ${preferred}` )
+        this.placement = { target, preferred }
+        this.box.style.display = 'block'
+        this.reposition()
+    }
+
+    /**
+     * Dismiss this tooltip, hiding it and forgetting where it was placed.  It
+     * can be shown again later with `showAt()` or `track()`.
+     */
+    hide () {
+        this.placement = null
+        this.box.style.display = 'none'
+    }
+
+    /**
+     * Is this tooltip currently shown?
+     * 
+     * @returns {boolean} whether the tooltip is visible
+     */
+    isVisible () { return !!this.placement }
+
+    /**
+     * Remove this tooltip from the document permanently, and stop listening
+     * for the events that make it reposition itself.  The tooltip cannot be
+     * used after this has been called.
+     */
+    destroy () {
+        this.hide()
+        this.resizeObserver.disconnect()
+        this.mutationObserver.disconnect()
+        const document = this.element.ownerDocument
+        document.removeEventListener( 'scroll', this.update, true )
+        document.defaultView.removeEventListener( 'resize', this.update )
+        this.box.remove()
+    }
+
+    /**
+     * Move this tooltip to wherever its most recent call to `showAt()` or
+     * `track()` says it should be, given the current layout of the page.  This
+     * is called automatically when the page changes in the ways described at
+     * the top of this class, but clients can call it if the page changes in
+     * other ways.
+     */
+    reposition () {
+        if ( !this.placement ) return
+        if ( this.placement.point ) {
+            const origin = new ScreenRect( this.element ).topLeft
+            const point = new ScreenPoint( this.placement.point.x + origin.x,
+                                           this.placement.point.y + origin.y )
+            const side = this.placement.side
+            return this.moveTo( this.rectBeside( point, side ), side )
+        }
+        const target = this.placement.target
+        const rectFor = target instanceof Function ? target :
+            this.element.contains( target ) ? () => new ScreenRect( target ) :
+            () => null
+        const viewport = new ScreenRect( 0, 0,
+            this.element.ownerDocument.defaultView.innerWidth,
+            this.element.ownerDocument.defaultView.innerHeight )
+        const candidates = fallbacks[this.placement.preferred].map( side => {
+            const targetRect = rectFor( side )
+            if ( !targetRect ) return null
+            const point = this.pointBeside( targetRect, side )
+            return { side, rect : this.rectBeside( point, side ) }
+        } )
+        if ( candidates.includes( null ) ) return this.hide()
+        const fits = candidates.find( candidate =>
+            viewport.contains( candidate.rect.topLeft )
+         && viewport.contains( candidate.rect.bottomRight ) )
+        const chosen = fits || candidates[0]
+        this.moveTo( chosen.rect, chosen.side )
+    }
+
+    // Utility used by reposition(): the point in the middle of the given side
+    // of the given rectangle, at which a tooltip on that side should point.
+    pointBeside ( rect, side ) {
+        const middleX = ( rect.left + rect.right ) / 2
+        const middleY = ( rect.top + rect.bottom ) / 2
+        return side == 'above' ? new ScreenPoint( middleX, rect.top ) :
+               side == 'below' ? new ScreenPoint( middleX, rect.bottom ) :
+               side == 'left'  ? new ScreenPoint( rect.left, middleY ) :
+                                 new ScreenPoint( rect.right, middleY )
+    }
+
+    // Utility used by reposition(): the rectangle (in viewport coordinates)
+    // that this tooltip would occupy if placed on the given side of the given
+    // point, with its arrow (if any) on the edge facing the point.
+    rectBeside ( point, side ) {
+        const width = this.box.offsetWidth
+        const height = this.box.offsetHeight
+        const { arrowSize, arrowInset, gap } = this.options
+        const distance = ( this.arrow ? arrowSize : 0 ) + gap
+        // along the edge facing the point, where is the point, measured from
+        // the first end of that edge?
+        const horizontal = side == 'above' || side == 'below'
+        const length = horizontal ? width : height
+        const along = !this.arrow ? length / 2 :
+                      this.arrow.first ? arrowInset : length - arrowInset
+        const left = horizontal ? point.x - along :
+                     side == 'left' ? point.x - distance - width : point.x + distance
+        const top = !horizontal ? point.y - along :
+                    side == 'above' ? point.y - distance - height : point.y + distance
+        return new ScreenRect( left, top, left + width, top + height )
+    }
+
+    // Utility used by reposition(): move the tooltip to the given rectangle,
+    // on the given side of the point it is for, moving its arrow (if any) to
+    // the edge facing that point, as documented in setArrow().
+    moveTo ( rect, side ) {
+        if ( this.arrow && this.arrow.edge != facingEdge[side] ) {
+            this.arrow.edge = facingEdge[side]
+            this.applyStyle()
+        }
+        this.box.style.left = `${rect.left}px`
+        this.box.style.top = `${rect.top}px`
+    }
+
+    // Utility used whenever the options or arrow change: apply them to the
+    // styles of the tooltip and its arrow
+    applyStyle () {
+        const options = this.options
+        const border = `${options.borderWidth}px solid ${options.borderColor}`
+        Object.assign( this.box.style, {
+            background : options.background,
+            border : border,
+            borderRadius : `${options.borderRadius}px`,
+            padding : options.padding
+        } )
+        if ( !this.arrow ) {
+            this.arrowDiv.style.display = 'none'
+            return
+        }
+        // the arrow is a square, rotated 45 degrees, half of which sticks out
+        // of the tooltip's edge, with borders on the two sides that stick out;
+        // its diagonal is twice the arrow size, so its side is that over root 2
+        const side = 2 * options.arrowSize / Math.SQRT2
+        const offset = `${-side / 2 - options.borderWidth}px`
+        const inset = `${options.arrowInset - side / 2 - options.borderWidth}px`
+        const style = this.arrowDiv.style
+        Object.assign( style, {
+            display : 'block',
+            width : `${side}px`,
+            height : `${side}px`,
+            boxSizing : 'border-box',
+            background : options.background,
+            border : 'none',
+            top : '', bottom : '', left : '', right : ''
+        } )
+        arrowBorders[this.arrow.edge].forEach( name =>
+            style[`border${name}`] = border )
+        const horizontal = this.arrow.edge == 'top' || this.arrow.edge == 'bottom'
+        style[this.arrow.edge] = offset
+        style[horizontal ? ( this.arrow.first ? 'left' : 'right' )
+                         : ( this.arrow.first ? 'top' : 'bottom' )] = inset
+    }
+
+}